@@ -1,6 +1,11 @@
 //@ts-check
 /** @template TModel @template TKey @typedef {import('./toolbelt.js').KeyByValueType<TModel,TKey>} KeyByValueType */
 /** @template TModel @typedef {import('./toolbelt.js').OrderByFunction<TModel>} OrderByFunction */
+/** @typedef {import('./toolbelt.js').GroupByAliases} GroupByAliases */
+/** @typedef {import('./toolbelt.js').TimeBucketUnit} TimeBucketUnit */
+/** @typedef {import('./toolbelt.js').TimeBucketOptions} TimeBucketOptions */
+/** @typedef {import('./toolbelt.js').MatchOptions} MatchOptions */
+/** @template T @typedef {import('./toolbelt.js').JsonPath<T>} JsonPath */
 
 /**
  * Class used to help build WHERE clauses on SQL statements
@@ -215,6 +220,265 @@ export class WhereBuilder {
         return this;
     }
 
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the LIKE pattern specified. The pattern can use "%" to match any number of characters and "_" to match one character. 
+     * If a condition already exists, then " AND {colName} LIKE {pattern}" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern LIKE pattern the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    like(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ?`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified contains the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition already exists, then " AND {colName} LIKE {%text%} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should contain.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    contains(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`%${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified starts with the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition already exists, then " AND {colName} LIKE {text%} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should start with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    startsWith(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified ends with the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition already exists, then " AND {colName} LIKE {%text} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should end with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    endsWith(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`%${escapeLike(text)}`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the LIKE pattern specified, regardless of the case of either. 
+     * If a condition already exists, then " AND LOWER({colName}) LIKE LOWER({pattern})" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern LIKE pattern the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    likeIgnoreCase(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?)`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified contains the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition already exists, then " AND LOWER({colName}) LIKE LOWER({%text%}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should contain.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    containsIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`%${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified starts with the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition already exists, then " AND LOWER({colName}) LIKE LOWER({text%}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should start with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    startsWithIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified ends with the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition already exists, then " AND LOWER({colName}) LIKE LOWER({%text}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should end with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    endsWithIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`%${escapeLike(text)}`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified is between the two values specified, including the values themselves. 
+     * If a condition already exists, then " AND {colName} BETWEEN {low} AND {high}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to.
+     * @param {TTableModel[TColumn]} low Smallest value the column can be.
+     * @param {TTableModel[TColumn]} high Largest value the column can be.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    between(colName, low, high, where = undefined) {
+        if (colName == null || low == null || high == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} BETWEEN ? AND ?`, [low, high], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the regular expression specified. 
+     * If a condition already exists, then " AND {colName} REGEXP {pattern}" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern Regular expression the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    regexp(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} REGEXP ?`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the regular expression specified, regardless of the case of either. 
+     * If a condition already exists, then " AND REGEXP_LIKE({colName}, {pattern}, 'i')" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern Regular expression the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    regexpIgnoreCase(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `REGEXP_LIKE(${column}, ?, 'i')`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column names specified match the text specified, using their FULLTEXT index. 
+     * If a condition already exists, then " AND MATCH({colNames}) AGAINST({text})" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>|KeyByValueType<TTableModel, string|null|undefined>[]} colNames Column name, or column names, that are being searched. These must be the same columns as a FULLTEXT index.
+     * @param {string} text Text to search for.
+     * @param {MatchOptions=} options Mode of the search. (default: natural language mode)
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    matches(colNames, text, options = {}, where = undefined) {
+        if (colNames == null || text == null) return this;
+        return this._addCondition(" AND ", colNames, column => `MATCH(${column}) AGAINST(? ${matchModeOf(options)})`, [text], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the value at the JSON path specified in the column name specified is equal to the value specified. 
+     * If a condition already exists, then " AND JSON_EXTRACT({colName}, {path}) = {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value the value at the path is compared to. Strings, numbers, booleans, arrays and objects are compared as JSON values.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonEquals(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_EXTRACT(${column}, ?) = CAST(? AS JSON)`, [path, JSON.stringify(val)], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the JSON at the JSON path specified in the column name specified contains the value specified. 
+     * If a condition already exists, then " AND JSON_CONTAINS({colName}, {val}, {path})" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value that must be contained. Arrays are contained if all of their elements are contained, and objects are contained if all of their keys and values are contained.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonContains(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_CONTAINS(${column}, ?, ?)`, [JSON.stringify(val), path], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the value specified is an element of the JSON array at the JSON path specified in the column name specified. 
+     * If a condition already exists, then " AND {val} MEMBER OF(JSON_EXTRACT({colName}, {path}))" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value that must be an element of the array. (requires MySQL 8.0.17 or later)
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonMemberOf(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" AND ", colName, column => `CAST(? AS JSON) MEMBER OF(JSON_EXTRACT(${column}, ?))`, [JSON.stringify(val), path], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition already exists, then " AND JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) = {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonValueEquals(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) = ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is less than the value specified, the same as `{colName}->>{path}`. 
+     * If a condition already exists, then " AND JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) < {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonValueLessThan(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) < ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is less than or equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition already exists, then " AND JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) <= {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonValueLessThanOrEqualTo(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) <= ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is greater than the value specified, the same as `{colName}->>{path}`. 
+     * If a condition already exists, then " AND JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) > {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonValueGreaterThan(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) > ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is greater than or equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition already exists, then " AND JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) >= {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    jsonValueGreaterThanOrEqualTo(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) >= ?`, [path, val], where);
+    }
+
     /**
      * Adds a condition to a statement that checks if the column name specified is equal to the value specified. 
      * If a condition does not already exist, then " WHERE {colName} = {val}" is appended instead.
@@ -402,6 +666,265 @@ export class WhereBuilder {
         return this;
     }
 
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the LIKE pattern specified. The pattern can use "%" to match any number of characters and "_" to match one character. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {pattern}" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern LIKE pattern the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andLike(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ?`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified contains the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {%text%} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should contain.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andContains(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`%${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified starts with the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {text%} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should start with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andStartsWith(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified ends with the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {%text} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should end with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andEndsWith(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`%${escapeLike(text)}`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the LIKE pattern specified, regardless of the case of either. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({pattern})" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern LIKE pattern the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andLikeIgnoreCase(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?)`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified contains the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({%text%}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should contain.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andContainsIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`%${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified starts with the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({text%}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should start with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andStartsWithIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified ends with the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({%text}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should end with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andEndsWithIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" AND ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`%${escapeLike(text)}`], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified is between the two values specified, including the values themselves. 
+     * If a condition does not already exist, then " WHERE {colName} BETWEEN {low} AND {high}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to.
+     * @param {TTableModel[TColumn]} low Smallest value the column can be.
+     * @param {TTableModel[TColumn]} high Largest value the column can be.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andBetween(colName, low, high, where = undefined) {
+        if (colName == null || low == null || high == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} BETWEEN ? AND ?`, [low, high], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the regular expression specified. 
+     * If a condition does not already exist, then " WHERE {colName} REGEXP {pattern}" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern Regular expression the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andRegexp(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `${column} REGEXP ?`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column name specified matches the regular expression specified, regardless of the case of either. 
+     * If a condition does not already exist, then " WHERE REGEXP_LIKE({colName}, {pattern}, 'i')" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern Regular expression the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andRegexpIgnoreCase(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" AND ", colName, column => `REGEXP_LIKE(${column}, ?, 'i')`, [pattern], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the column names specified match the text specified, using their FULLTEXT index. 
+     * If a condition does not already exist, then " WHERE MATCH({colNames}) AGAINST({text})" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>|KeyByValueType<TTableModel, string|null|undefined>[]} colNames Column name, or column names, that are being searched. These must be the same columns as a FULLTEXT index.
+     * @param {string} text Text to search for.
+     * @param {MatchOptions=} options Mode of the search. (default: natural language mode)
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andMatches(colNames, text, options = {}, where = undefined) {
+        if (colNames == null || text == null) return this;
+        return this._addCondition(" AND ", colNames, column => `MATCH(${column}) AGAINST(? ${matchModeOf(options)})`, [text], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the value at the JSON path specified in the column name specified is equal to the value specified. 
+     * If a condition does not already exist, then " WHERE JSON_EXTRACT({colName}, {path}) = {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value the value at the path is compared to. Strings, numbers, booleans, arrays and objects are compared as JSON values.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonEquals(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_EXTRACT(${column}, ?) = CAST(? AS JSON)`, [path, JSON.stringify(val)], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the JSON at the JSON path specified in the column name specified contains the value specified. 
+     * If a condition does not already exist, then " WHERE JSON_CONTAINS({colName}, {val}, {path})" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value that must be contained. Arrays are contained if all of their elements are contained, and objects are contained if all of their keys and values are contained.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonContains(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_CONTAINS(${column}, ?, ?)`, [JSON.stringify(val), path], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the value specified is an element of the JSON array at the JSON path specified in the column name specified. 
+     * If a condition does not already exist, then " WHERE {val} MEMBER OF(JSON_EXTRACT({colName}, {path}))" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value that must be an element of the array. (requires MySQL 8.0.17 or later)
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonMemberOf(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" AND ", colName, column => `CAST(? AS JSON) MEMBER OF(JSON_EXTRACT(${column}, ?))`, [JSON.stringify(val), path], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) = {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonValueEquals(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) = ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is less than the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) < {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonValueLessThan(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) < ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is less than or equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) <= {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonValueLessThanOrEqualTo(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) <= ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is greater than the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) > {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonValueGreaterThan(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) > ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is greater than or equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) >= {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    andJsonValueGreaterThanOrEqualTo(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" AND ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) >= ?`, [path, val], where);
+    }
+
     /**
      * Adds a logical OR condition to a statement that checks if the column name specified is equal to the value specified. 
      * If a condition does not already exist, then " WHERE {colName} = {val}" is appended instead.
@@ -587,6 +1110,265 @@ export class WhereBuilder {
         return this;
     }
 
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified matches the LIKE pattern specified. The pattern can use "%" to match any number of characters and "_" to match one character. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {pattern}" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern LIKE pattern the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orLike(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" OR ", colName, column => `${column} LIKE ?`, [pattern], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified contains the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {%text%} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should contain.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orContains(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" OR ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`%${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified starts with the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {text%} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should start with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orStartsWith(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" OR ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified ends with the text specified. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE {colName} LIKE {%text} ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should end with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orEndsWith(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" OR ", colName, column => `${column} LIKE ? ESCAPE '!'`, [`%${escapeLike(text)}`], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified matches the LIKE pattern specified, regardless of the case of either. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({pattern})" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern LIKE pattern the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orLikeIgnoreCase(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" OR ", colName, column => `LOWER(${column}) LIKE LOWER(?)`, [pattern], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified contains the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({%text%}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should contain.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orContainsIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" OR ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`%${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified starts with the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({text%}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should start with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orStartsWithIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" OR ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`${escapeLike(text)}%`], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified ends with the text specified, regardless of the case of either. Any "%" and "_" characters in the text are matched as they are. 
+     * If a condition does not already exist, then " WHERE LOWER({colName}) LIKE LOWER({%text}) ESCAPE '!'" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} text Text the column should end with.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orEndsWithIgnoreCase(colName, text, where = undefined) {
+        if (colName == null || text == null) return this;
+        return this._addCondition(" OR ", colName, column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`, [`%${escapeLike(text)}`], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified is between the two values specified, including the values themselves. 
+     * If a condition does not already exist, then " WHERE {colName} BETWEEN {low} AND {high}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to.
+     * @param {TTableModel[TColumn]} low Smallest value the column can be.
+     * @param {TTableModel[TColumn]} high Largest value the column can be.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orBetween(colName, low, high, where = undefined) {
+        if (colName == null || low == null || high == null) return this;
+        return this._addCondition(" OR ", colName, column => `${column} BETWEEN ? AND ?`, [low, high], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified matches the regular expression specified. 
+     * If a condition does not already exist, then " WHERE {colName} REGEXP {pattern}" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern Regular expression the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orRegexp(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" OR ", colName, column => `${column} REGEXP ?`, [pattern], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column name specified matches the regular expression specified, regardless of the case of either. 
+     * If a condition does not already exist, then " WHERE REGEXP_LIKE({colName}, {pattern}, 'i')" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>} colName Column name that is being compared to.
+     * @param {string} pattern Regular expression the column is matched against.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orRegexpIgnoreCase(colName, pattern, where = undefined) {
+        if (colName == null || pattern == null) return this;
+        return this._addCondition(" OR ", colName, column => `REGEXP_LIKE(${column}, ?, 'i')`, [pattern], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the column names specified match the text specified, using their FULLTEXT index. 
+     * If a condition does not already exist, then " WHERE MATCH({colNames}) AGAINST({text})" is appended instead.
+     * @param {KeyByValueType<TTableModel, string|null|undefined>|KeyByValueType<TTableModel, string|null|undefined>[]} colNames Column name, or column names, that are being searched. These must be the same columns as a FULLTEXT index.
+     * @param {string} text Text to search for.
+     * @param {MatchOptions=} options Mode of the search. (default: natural language mode)
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orMatches(colNames, text, options = {}, where = undefined) {
+        if (colNames == null || text == null) return this;
+        return this._addCondition(" OR ", colNames, column => `MATCH(${column}) AGAINST(? ${matchModeOf(options)})`, [text], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the value at the JSON path specified in the column name specified is equal to the value specified. 
+     * If a condition does not already exist, then " WHERE JSON_EXTRACT({colName}, {path}) = {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value the value at the path is compared to. Strings, numbers, booleans, arrays and objects are compared as JSON values.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonEquals(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" OR ", colName, column => `JSON_EXTRACT(${column}, ?) = CAST(? AS JSON)`, [path, JSON.stringify(val)], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the JSON at the JSON path specified in the column name specified contains the value specified. 
+     * If a condition does not already exist, then " WHERE JSON_CONTAINS({colName}, {val}, {path})" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value that must be contained. Arrays are contained if all of their elements are contained, and objects are contained if all of their keys and values are contained.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonContains(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" OR ", colName, column => `JSON_CONTAINS(${column}, ?, ?)`, [JSON.stringify(val), path], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the value specified is an element of the JSON array at the JSON path specified in the column name specified. 
+     * If a condition does not already exist, then " WHERE {val} MEMBER OF(JSON_EXTRACT({colName}, {path}))" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {any} val Value that must be an element of the array. (requires MySQL 8.0.17 or later)
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonMemberOf(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val === undefined) return this;
+        return this._addCondition(" OR ", colName, column => `CAST(? AS JSON) MEMBER OF(JSON_EXTRACT(${column}, ?))`, [JSON.stringify(val), path], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) = {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonValueEquals(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" OR ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) = ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is less than the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) < {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonValueLessThan(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" OR ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) < ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is less than or equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) <= {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonValueLessThanOrEqualTo(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" OR ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) <= ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is greater than the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) > {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonValueGreaterThan(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" OR ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) > ?`, [path, val], where);
+    }
+
+    /**
+     * Adds a logical OR condition to a statement that checks if the unquoted value at the JSON path specified in the column name specified is greater than or equal to the value specified, the same as `{colName}->>{path}`. 
+     * If a condition does not already exist, then " WHERE JSON_UNQUOTE(JSON_EXTRACT({colName}, {path})) >= {val}" is appended instead.
+     * @template {keyof TTableModel} TColumn Some key to the model object that represents the table.
+     * @param {TColumn} colName Column name that is being compared to, which must be a JSON column or hold JSON.
+     * @param {JsonPath<TTableModel[TColumn]>} path JSON path to the value, where "$" is the value of the column itself. (e.g., "$.tags" or "$.addresses[0].city")
+     * @param {string|number} val Value the unquoted value at the path is compared to. The values are compared as numbers if a number is given, otherwise they are compared as strings.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     */
+    orJsonValueGreaterThanOrEqualTo(colName, path, val, where = undefined) {
+        if (colName == null || path == null || val == null) return this;
+        return this._addCondition(" OR ", colName, column => `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?)) >= ?`, [path, val], where);
+    }
+
     /**
      * Returns the WHERE clause to be appended to the command. This clause is sanitized.
      * @returns {string}
@@ -603,6 +1385,21 @@ export class WhereBuilder {
         return this._args;
     }
 
+    /**
+     * Merges a condition that was built elsewhere into this WHERE clause, so both the conditions built so far and the merged condition must be met. 
+     * Once they are combined, the conditions built so far and the merged condition are each nested, so the OR conditions of one do not leak into the other.
+     * @param {WhereBuilder<any>|string} condition WhereBuilder whose WHERE clause is merged, or a raw condition whose values are "?" placeholders.
+     * @param {any[]} args Arguments of the placeholders of a raw condition. These are ignored if a WhereBuilder is passed.
+     * @returns {WhereBuilder<TTableModel>} The WhereBuilder in its most recent state.
+     */
+    merge(condition, args = []) {
+        const sql = condition instanceof WhereBuilder ? condition.toString().replace(" WHERE ", "") : condition;
+        if (sql === "") return this;
+        this._filter = this._filter.length > 0 ? ` WHERE (${this._filter.replace(" WHERE ", "")}) AND (${sql})` : ` WHERE ${sql}`;
+        this._args = [...this._args, ...(condition instanceof WhereBuilder ? condition.getArgs() : args)];
+        return this;
+    }
+
     /**
      * Resets this builder so it can be used again.
      * @returns {WhereBuilder<TTableModel>}
@@ -627,6 +1424,29 @@ export class WhereBuilder {
         return cond;
     }
 
+    /**
+     * Adds a condition to the statement.
+     * @private Used to add conditions whose column is compared using a SQL expression.
+     * @param {" AND "|" OR "} conjunction Operator that joins the condition to the conditions that already exist.
+     * @param {keyof TTableModel|(keyof TTableModel)[]} colName Column name, or column names, that is being compared to.
+     * @param {(column: string) => string} condition Builds the condition from the escaped column name. (column names are separated by commas)
+     * @param {any[]} args Arguments for the placeholders in the condition.
+     * @param {((where: WhereBuilder<TTableModel>) => WhereBuilder<TTableModel>)=} where Lambda function to provide nested conditionals with this condition.
+     * @returns {WhereBuilder<TTableModel>} The WhereBuilder in its most recent state.
+     */
+    _addCondition(conjunction, colName, condition, args, where = undefined) {
+        const { nest, builder } = this._buildNest(where);
+        const column = (Array.isArray(colName) ? colName : [colName]).map(c => {
+            if (typeof (c) === "string" && c.includes(".")) {
+                c = /** @type {keyof TTableModel} */ (`${String(c).split(".")[0]}\`.\`${String(c).split(".")[1]}`);
+            }
+            return `\`${String(c)}\``;
+        }).join(",");
+        this._filter += `${(this._filter.length > 0 ? conjunction : " WHERE ")}${nest(this._negate(condition(column)))}`;
+        this._args = [...this._args, ...args, ...builder._args];
+        return this;
+    }
+
     /**
      * Builds a nested conditional.
      * @private Used to build nested conditionals
@@ -638,9 +1458,9 @@ export class WhereBuilder {
         let nest = s => s;
         let builder = new WhereBuilder();
         if (where != undefined) {
-            // this is done so we can remove the WHERE clause.
+            // this is done so we can remove the WHERE clause. The column of the placeholder is quoted, just like any other column.
             builder.equals("_", 0);
-            nest = s => `(${s}${where(builder).toString().replace(" WHERE _ = ?", "")})`;
+            nest = s => `(${s}${where(builder).toString().replace(" WHERE \`_\` = ?", "")})`;
             builder._args.shift();
         }
         return { nest, builder }
@@ -654,6 +1474,8 @@ export class WhereBuilder {
 export class OrderBuilder {
     /** @private @type {string[]} */
     _columns = [];
+    /** @private @type {{ column: string, desc: boolean }[]} */
+    _orders = [];
 
     constructor() { }
 
@@ -663,9 +1485,11 @@ export class OrderBuilder {
      * @returns {OrderByFunction<TTableModel>}
      */
     by(colName) {
+        const originalColName = colName;
         if (typeof (colName) === "string" && colName.includes(".")) {
             colName = /** @type {keyof TTableModel} */ (`${String(colName).split(".")[0]}\`.\`${String(colName).split(".")[1]}`);
         }
+        this._orders = [...this._orders, { column: String(originalColName), desc: false }];
         this._columns = [...this._columns, `\`${String(colName)}\``];
         const idx = this._columns.length-1;
         return {
@@ -679,6 +1503,7 @@ export class OrderBuilder {
             },
             desc: () => {
                 this._columns[idx] += " DESC";
+                this._orders[idx].desc = true;
                 return this;
             },
             toString: () => {
@@ -690,22 +1515,34 @@ export class OrderBuilder {
     toString() {
         return this._columns.length > 0 ? ` ORDER BY ${this._columns.join(',')}` : "";
     }
+
+    /**
+     * Returns the columns that were ordered by, in the order they were specified, and whether each column is sorted in descending order.
+     * @returns {{ column: string, desc: boolean }[]}
+     */
+    getOrders() {
+        return this._orders.map(o => ({ ...o }));
+    }
 }
 
 /**
  * Class used to help build GROUP BY clauses on SQL statements
  * @template TTableModel Type representing the Table as it appears in the database.
+ * @template {{[alias: string]: any}} [TAliases={}] Aliases of the aggregates that are selected for each group.
  */
 export class GroupBuilder {
     /** @public @type {{key: string, alias?: string}[]} */ keys = [];
     /** @public @type {string[]} */ _keys = [];
+    /** @private @type {{aggregate: string, alias: string, empty: number?}[]} */ _aggregates = [];
+    /** @private @type {WhereBuilder<TTableModel & GroupByAliases & TAliases>} */ _having = new WhereBuilder();
+    /** @private @type {({unit: TimeBucketUnit} & TimeBucketOptions)?} */ _bucket = null;
 
     constructor() { }
 
     /**
      * Group your results by the given key.
      * @param {keyof TTableModel} colName Column to group by.
-     * @returns {GroupBuilder<TTableModel>} A reference back to this GroupBuilder.
+     * @returns {GroupBuilder<TTableModel, TAliases>} A reference back to this GroupBuilder.
      */
     by(colName) {
         if (typeof (colName) === "string" && colName.includes(".")) {
@@ -719,8 +1556,9 @@ export class GroupBuilder {
 
     /**
      * Group your results by a DATE/DATETIME/TIMESTAMP column by day. If this is specified, then the results you get back will have a "yearDay" property containing the date.
+     * @deprecated Use `.byTime(colName, "day")` instead, which returns the day as a date. This groups by the day of the month, so the same day of every month of a year falls in the same group.
      * @param {KeyByValueType<TTableModel, Date|null|undefined>} colName Column to group by.
-     * @returns {GroupBuilder<TTableModel>} A reference back to this GroupBuilder.
+     * @returns {GroupBuilder<TTableModel, TAliases>} A reference back to this GroupBuilder.
      */
     byDay(colName) {
         if (typeof (colName) === "string" && colName.includes(".")) {
@@ -735,8 +1573,9 @@ export class GroupBuilder {
 
     /**
      * Group your results by a DATE/DATETIME/TIMESTAMP column by day. If this is specified, then the results you get back will have a "yearWeek" property containing the date.
+     * @deprecated Use `.byTime(colName, "week")` instead, which returns the week as a date.
      * @param {KeyByValueType<TTableModel, Date|null|undefined>} colName Column to group by.
-     * @returns {GroupBuilder<TTableModel>} A reference back to this GroupBuilder.
+     * @returns {GroupBuilder<TTableModel, TAliases>} A reference back to this GroupBuilder.
      */
     byWeek(colName) {
         if (typeof (colName) === "string" && colName.includes(".")) {
@@ -751,8 +1590,9 @@ export class GroupBuilder {
 
     /**
      * Group your results by a DATE/DATETIME/TIMESTAMP column by day. If this is specified, then the results you get back will have a "yearMonth" property containing the date.
+     * @deprecated Use `.byTime(colName, "month")` instead, which returns the month as a date.
      * @param {KeyByValueType<TTableModel, Date|null|undefined>} colName Column to group by.
-     * @returns {GroupBuilder<TTableModel>} A reference back to this GroupBuilder.
+     * @returns {GroupBuilder<TTableModel, TAliases>} A reference back to this GroupBuilder.
      */
     byMonth(colName) {
         if (typeof (colName) === "string" && colName.includes(".")) {
@@ -767,8 +1607,9 @@ export class GroupBuilder {
 
     /**
      * Group your results by a DATE/DATETIME/TIMESTAMP column by day. If this is specified, then the results you get back will have a "year" property containing the date.
+     * @deprecated Use `.byTime(colName, "year")` instead, which returns the year as a date.
      * @param {KeyByValueType<TTableModel, Date|null|undefined>} colName Column to group by.
-     * @returns {GroupBuilder<TTableModel>} A reference back to this GroupBuilder.
+     * @returns {GroupBuilder<TTableModel, TAliases>} A reference back to this GroupBuilder.
      */
     byYear(colName) {
         if (typeof (colName) === "string" && colName.includes(".")) {
@@ -782,11 +1623,183 @@ export class GroupBuilder {
     }
 
     /**
-     * Returns the compiled GROUP BY CLAUSE
+     * Group your results by the time bucket that a DATE/DATETIME/TIMESTAMP column falls in. If this is specified, then the results you get back will have a "$time" property containing the start of the bucket as a date.  
+     * Weeks start on Monday. Only one time bucket can be grouped by.
+     * @example
+     * ```js
+     * // revenue of every month in 2024, in New York time, where months without invoices have a revenue of 0.
+     * invoiceContext.getAll(null, group => group.byTime("InvoiceDate", "month", { 
+     *     timezone: "America/New_York", 
+     *     fill: { from: new Date("2024-01-01"), to: new Date("2024-12-31") } 
+     * }).sum("Total", "revenue"));
+     * ```
+     * @param {KeyByValueType<TTableModel, Date|null|undefined>} colName Column to group by.
+     * @param {TimeBucketUnit} unit Size of each bucket.
+     * @param {TimeBucketOptions=} options Timezone to bucket the dates in, and the range of buckets to fill.
+     * @returns {GroupBuilder<TTableModel, TAliases>} A reference back to this GroupBuilder.
+     */
+    byTime(colName, unit, options = {}) {
+        if (!(unit in TIME_BUCKETS)) {
+            throw Error(`The time bucket must be one of ${Object.keys(TIME_BUCKETS).join(", ")}, but "${unit}" was given.`);
+        }
+        if (this._bucket != null) {
+            throw Error('Only one time bucket can be grouped by.');
+        }
+        const { timezone, fill } = options;
+        // named timezones are only checked for their format. If the timezone tables are not loaded into MySQL, then CONVERT_TZ returns NULL, 
+        // so every record is grouped into a NULL bucket. (which `.fillGaps()` checks for)
+        if (timezone != null && !/^(?:[+-]\d{2}:\d{2}|[A-Za-z][A-Za-z0-9_+\-\/]*)$/.test(timezone)) {
+            throw Error(`The timezone must be an offset (e.g., "+05:00") or a named timezone (e.g., "America/New_York"), but "${timezone}" was given.`);
+        }
+        if (fill != null && !(fill.from instanceof Date && fill.to instanceof Date && fill.from <= fill.to)) {
+            throw Error('The range of buckets to fill must have a "from" date that is on or before its "to" date.');
+        }
+        if (typeof (colName) === "string" && colName.includes(".")) {
+            colName = /** @type {KeyByValueType<TTableModel, Date|null|undefined>} */ (`${String(colName).split(".")[0]}\`.\`${String(colName).split(".")[1]}`);
+        }
+        // dates are assumed to be stored in UTC, so they are only converted if a timezone was given.
+        const column = timezone != null ? `CONVERT_TZ(\`${String(colName)}\`, '+00:00', '${timezone}')` : `\`${String(colName)}\``;
+        this._bucket = { unit, timezone, fill };
+        this.keys = [...this.keys, {
+            key: TIME_BUCKETS[unit](column),
+            alias: "$time"
+        }];
+        return this;
+    }
+
+    /**
+     * Selects the sum of a column for each group. The results you get back will have a property of the given alias containing the sum.
+     * @template {string} TAlias
+     * @param {KeyByValueType<TTableModel, number|null|undefined>} colName Column to sum.
+     * @param {TAlias} alias Name of the property the sum is returned as.
+     * @returns {GroupBuilder<TTableModel, TAliases & {[K in TAlias]: number}>} A reference back to this GroupBuilder.
+     */
+    sum(colName, alias) {
+        return this._aggregate("SUM", colName, alias);
+    }
+
+    /**
+     * Selects the average of a column for each group. The results you get back will have a property of the given alias containing the average.
+     * @template {string} TAlias
+     * @param {KeyByValueType<TTableModel, number|null|undefined>} colName Column to average.
+     * @param {TAlias} alias Name of the property the average is returned as.
+     * @returns {GroupBuilder<TTableModel, TAliases & {[K in TAlias]: number}>} A reference back to this GroupBuilder.
+     */
+    avg(colName, alias) {
+        return this._aggregate("AVG", colName, alias);
+    }
+
+    /**
+     * Selects the smallest value of a column for each group. The results you get back will have a property of the given alias containing the value.
+     * @template {keyof TTableModel} TColumn
+     * @template {string} TAlias
+     * @param {TColumn} colName Column to get the smallest value of.
+     * @param {TAlias} alias Name of the property the value is returned as.
+     * @returns {GroupBuilder<TTableModel, TAliases & {[K in TAlias]: TTableModel[TColumn]}>} A reference back to this GroupBuilder.
+     */
+    min(colName, alias) {
+        return this._aggregate("MIN", colName, alias);
+    }
+
+    /**
+     * Selects the largest value of a column for each group. The results you get back will have a property of the given alias containing the value.
+     * @template {keyof TTableModel} TColumn
+     * @template {string} TAlias
+     * @param {TColumn} colName Column to get the largest value of.
+     * @param {TAlias} alias Name of the property the value is returned as.
+     * @returns {GroupBuilder<TTableModel, TAliases & {[K in TAlias]: TTableModel[TColumn]}>} A reference back to this GroupBuilder.
+     */
+    max(colName, alias) {
+        return this._aggregate("MAX", colName, alias);
+    }
+
+    /**
+     * Selects the number of distinct values of a column for each group. The results you get back will have a property of the given alias containing the number.
+     * @template {string} TAlias
+     * @param {keyof TTableModel} colName Column to count the distinct values of.
+     * @param {TAlias} alias Name of the property the number is returned as.
+     * @returns {GroupBuilder<TTableModel, TAliases & {[K in TAlias]: number}>} A reference back to this GroupBuilder.
+     */
+    countDistinct(colName, alias) {
+        return this._aggregate("COUNT", colName, alias, true);
+    }
+
+    /**
+     * Filters the groups using a HAVING clause, which can compare the aliases of the aggregates as well as the columns that are grouped by.  
+     * If a HAVING clause was already built, then the conditions are added onto it.  
+     * A column must be grouped by or an aggregate must be selected as well, otherwise an Error is thrown when the command is built.
+     * @param {(having: WhereBuilder<TTableModel & GroupByAliases & TAliases>) => WhereBuilder<TTableModel & GroupByAliases & TAliases>} having Builder function to help build a HAVING clause, using the same conditions as a WHERE clause.
+     * @returns {GroupBuilder<TTableModel, TAliases>} A reference back to this GroupBuilder.
+     */
+    having(having) {
+        this._having = having(this._having);
+        return this;
+    }
+
+    /**
+     * Returns the compiled GROUP BY CLAUSE, along with the HAVING clause if one was built.
      * @returns {string}
      */
     toString() {
-        return this.keys.length > 0 ? ` GROUP BY ${this.keys.map(k => k.alias != undefined ? `${k.alias}` : `${k.key}`).join(',')}` : "";
+        const groupBy = this.keys.length > 0 ? ` GROUP BY ${this.keys.map(k => k.alias != undefined ? `${k.alias}` : `${k.key}`).join(',')}` : "";
+        return `${groupBy}${this._having.toString().replace(" WHERE ", " HAVING ")}`;
+    }
+
+    /**
+     * Returns the arguments of the HAVING clause, which come after the arguments of the WHERE clause.
+     * @returns {any[]}
+     */
+    getArgs() {
+        return this._having.getArgs();
+    }
+
+    /**
+     * Adds a record with a `$count` of 0 for every time bucket in the range given to `.byTime()` that no records were queried for, then sorts the records by their bucket.  
+     * The SUM and COUNT aggregates of the added records are 0, while the other aggregates are null.
+     * @template T
+     * @param {T[]} records Records that were queried using this GROUP BY clause.
+     * @param {string} timezone Timezone the connection pool reads dates in, which is "local", "Z" or an offset (e.g., "+05:00").
+     * @returns {T[]} The records, along with the records for the empty buckets.
+     */
+    fillGaps(records, timezone = "local") {
+        if (this._bucket?.fill == null) return records;
+        const { unit, fill } = this._bucket;
+        if (this._bucket.timezone != null && offsetOf(this._bucket.timezone) === null 
+            && records.length > 0 && records.every(r => /** @type {any} */ (r).$time == null)) {
+            throw Error(`Every record was grouped into a NULL time bucket, which happens if the timezone tables are not loaded into MySQL to convert dates to "${this._bucket.timezone}". `
+                + 'Load the timezone tables, or use an offset (e.g., "-05:00") instead.');
+        }
+        // without a timezone, the buckets are read as they are stored, which is in the timezone of the connection pool.
+        const bucketTimezone = this._bucket.timezone ?? timezone;
+        const times = new Set(records.map(r => /** @type {any} */ (r).$time?.valueOf()));
+        const empty = Object.fromEntries(this._aggregates.map(a => [a.alias, a.empty]));
+        /** @type {any[]} */
+        const filled = [];
+        const end = startOfBucket(wallClockOf(fill.to, bucketTimezone), unit);
+        for (let wall = startOfBucket(wallClockOf(fill.from, bucketTimezone), unit); wall <= end; wall = nextBucket(wall, unit)) {
+            const $time = dateOfWallClock(wall, timezone);
+            if (!times.has($time.valueOf())) {
+                filled.push({ $count: 0, $time, ...empty });
+            }
+        }
+        return [...records, ...filled].sort((a, b) => a.$time - b.$time);
+    }
+
+    /**
+     * Throws an Error if empty time buckets are filled on a query they cannot be filled on.  
+     * Empty buckets are filled after the records are queried, so the records cannot be grouped by anything else, limited, offset or ordered, 
+     * otherwise the query would return more records than its limit, or records that are not in the order that was built.
+     * @param {boolean} isPaged True if the query has a LIMIT or OFFSET clause.
+     * @param {boolean} isOrdered True if the query has an ORDER BY clause.
+     */
+    validateFill(isPaged, isOrdered) {
+        if (this._bucket?.fill == null) return;
+        if (this.keys.length > 1) {
+            throw Error('Empty time buckets can only be filled if the records are grouped by nothing but the time bucket.');
+        }
+        if (isPaged || isOrdered) {
+            throw Error('Empty time buckets cannot be filled on a query that is limited, offset or ordered, since the records are sorted by their bucket after filling.');
+        }
     }
 
     /**
@@ -794,7 +1807,166 @@ export class GroupBuilder {
      * @returns {string}
      */
     getSelects() {
-        if (this.keys.length <= 0) return '*';
-        return `COUNT(*) AS $count,${this.keys.map(k => `${k.key}${k.alias != undefined ? ` AS ${k.alias}` : ""}`).join(',')}`;
+        if (this.keys.length <= 0 && this._aggregates.length <= 0) {
+            if (this._having.toString() !== "") {
+                throw Error('".having()" can only be used when grouping by a column or selecting an aggregate.');
+            }
+            return '*';
+        }
+        return [
+            "COUNT(*) AS $count",
+            ...this.keys.map(k => `${k.key}${k.alias != undefined ? ` AS ${k.alias}` : ""}`),
+            ...this._aggregates.map(a => `${a.aggregate} AS \`${a.alias}\``)
+        ].join(',');
+    }
+
+    /**
+     * Adds an aggregate to select for each group.
+     * @private
+     * @param {string} fn Aggregate function to use. (e.g., "SUM")
+     * @param {keyof TTableModel} colName Column to aggregate.
+     * @param {string} alias Name of the property the aggregate is returned as.
+     * @param {boolean} distinct True if only the distinct values of the column should be aggregated.
+     * @returns {any} A reference back to this GroupBuilder.
+     */
+    _aggregate(fn, colName, alias, distinct = false) {
+        if (typeof (alias) !== "string" || alias.length <= 0 || alias.includes("`")) {
+            throw Error(`An alias must be given to the ${fn} aggregate, and it cannot contain backticks.`);
+        }
+        if (typeof (colName) === "string" && colName.includes(".")) {
+            colName = /** @type {keyof TTableModel} */ (`${String(colName).split(".")[0]}\`.\`${String(colName).split(".")[1]}`);
+        }
+        this._aggregates = [...this._aggregates, {
+            aggregate: `${fn}(${distinct ? "DISTINCT " : ""}\`${String(colName)}\`)`,
+            alias,
+            empty: fn === "SUM" || fn === "COUNT" ? 0 : null
+        }];
+        return this;
+    }
+}
+
+/**
+ * Escapes the characters that have a special meaning in LIKE patterns, so they are matched as they are.  
+ * The pattern must be used with `ESCAPE '!'`. A backslash is not used, since it is not an escape character when the `NO_BACKSLASH_ESCAPES` SQL mode is enabled.
+ * @param {string} text Text to escape.
+ * @returns {string} Text that can be used in a LIKE pattern.
+ */
+function escapeLike(text) {
+    return text.replace(/[!%_]/g, "!$&");
+}
+
+/**
+ * Gets the search modifier of MATCH ... AGAINST for the given options.
+ * @param {MatchOptions} options Options that were passed into `.matches()`.
+ * @returns {string} Search modifier to put after the text in AGAINST.
+ */
+function matchModeOf({ mode = "natural" }) {
+    switch (mode) {
+        case "natural": return "IN NATURAL LANGUAGE MODE";
+        case "boolean": return "IN BOOLEAN MODE";
+        case "expansion": return "WITH QUERY EXPANSION";
     }
-}
\ No newline at end of file
+    throw Error(`The mode of a full-text search must be "natural", "boolean" or "expansion", but "${mode}" was given.`);
+}
+
+/**
+ * SQL expressions that get the start of the time bucket a date falls in, as a date.
+ * @type {{[unit in TimeBucketUnit]: (column: string) => string}}
+ */
+const TIME_BUCKETS = {
+    hour: column => `CAST(DATE_FORMAT(${column}, '%Y-%m-%d %H:00:00') AS DATETIME)`,
+    day: column => `DATE(${column})`,
+    week: column => `DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY)`,
+    month: column => `CAST(DATE_FORMAT(${column}, '%Y-%m-01') AS DATE)`,
+    quarter: column => `MAKEDATE(YEAR(${column}), 1) + INTERVAL (QUARTER(${column}) - 1) QUARTER`,
+    year: column => `MAKEDATE(YEAR(${column}), 1)`
+};
+
+/**
+ * Gets the wall clock time of a date in a timezone, which is returned as a date whose UTC fields are the wall clock time.
+ * @param {Date} date Date to get the wall clock time of.
+ * @param {string} timezone "local", "SYSTEM", "Z", "UTC", an offset (e.g., "+05:00") or a named timezone (e.g., "America/New_York").
+ * @returns {Date} Wall clock time of the date.
+ */
+function wallClockOf(date, timezone) {
+    if (timezone === "local" || timezone === "SYSTEM") {
+        return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes()));
+    }
+    if (timezone === "Z" || timezone === "UTC") return new Date(date.valueOf());
+    const offset = offsetOf(timezone);
+    if (offset != null) return new Date(date.valueOf() + offset);
+    const format = new Intl.DateTimeFormat("en-US", /** @type {Intl.DateTimeFormatOptions} */ ({ 
+        timeZone: timezone, 
+        hourCycle: "h23", 
+        year: "numeric", 
+        month: "numeric", 
+        day: "numeric", 
+        hour: "numeric", 
+        minute: "numeric" 
+    }));
+    /** @type {{[type: string]: number}} */
+    const parts = {};
+    format.formatToParts(date).forEach(p => parts[p.type] = Number(p.value));
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute));
+}
+
+/**
+ * Gets the date that a wall clock time is read as by the connection pool.
+ * @param {Date} wall Date whose UTC fields are the wall clock time.
+ * @param {string} timezone Timezone the connection pool reads dates in, which is "local", "Z" or an offset (e.g., "+05:00").
+ * @returns {Date} Date that the wall clock time is read as.
+ */
+function dateOfWallClock(wall, timezone) {
+    if (timezone === "local") {
+        return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes());
+    }
+    return new Date(wall.valueOf() - (offsetOf(timezone) ?? 0));
+}
+
+/**
+ * Gets the number of milliseconds a timezone offset (e.g., "+05:00") is ahead of UTC.
+ * @param {string} timezone Timezone to get the offset of.
+ * @returns {number?} Milliseconds the offset is ahead of UTC, or null if the timezone is not an offset.
+ */
+function offsetOf(timezone) {
+    const match = /^([+-])(\d{2}):(\d{2})$/.exec(timezone);
+    if (match == null) return null;
+    return (match[1] === "-" ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) * 60000;
+}
+
+/**
+ * Gets the start of the time bucket that a wall clock time falls in.
+ * @param {Date} wall Date whose UTC fields are the wall clock time.
+ * @param {TimeBucketUnit} unit Size of the bucket.
+ * @returns {Date} Start of the bucket, as a date whose UTC fields are the wall clock time.
+ */
+function startOfBucket(wall, unit) {
+    const [year, month, day, hour] = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours()];
+    switch (unit) {
+        case "hour": return new Date(Date.UTC(year, month, day, hour));
+        case "day": return new Date(Date.UTC(year, month, day));
+        // weeks start on Monday, the same as MySQL's WEEKDAY().
+        case "week": return new Date(Date.UTC(year, month, day - (wall.getUTCDay() + 6) % 7));
+        case "month": return new Date(Date.UTC(year, month, 1));
+        case "quarter": return new Date(Date.UTC(year, month - month % 3, 1));
+        case "year": return new Date(Date.UTC(year, 0, 1));
+    }
+}
+
+/**
+ * Gets the start of the time bucket after the one that starts at the given wall clock time.
+ * @param {Date} wall Start of a bucket, as a date whose UTC fields are the wall clock time.
+ * @param {TimeBucketUnit} unit Size of the bucket.
+ * @returns {Date} Start of the next bucket, as a date whose UTC fields are the wall clock time.
+ */
+function nextBucket(wall, unit) {
+    const [year, month, day, hour] = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours()];
+    switch (unit) {
+        case "hour": return new Date(Date.UTC(year, month, day, hour + 1));
+        case "day": return new Date(Date.UTC(year, month, day + 1));
+        case "week": return new Date(Date.UTC(year, month, day + 7));
+        case "month": return new Date(Date.UTC(year, month + 1, 1));
+        case "quarter": return new Date(Date.UTC(year, month + 3, 1));
+        case "year": return new Date(Date.UTC(year + 1, 0, 1));
+    }
+}
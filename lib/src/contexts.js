@@ -1,26 +1,45 @@
 //@ts-check
 import { WhereBuilder, OrderBuilder, GroupBuilder } from './builders.js';
 import { createPool } from "mysql2/promise";
+import mysql2 from "mysql2";
 
 /** @typedef {import('mysql2/promise').PoolOptions} MySql2PoolOptions */
 /** @typedef {import('mysql2/promise').Pool} MySql2Pool */
 /** @typedef {import('mysql2/promise').Connection} MySql2Connection */
+/** @typedef {import('mysql2/promise').PoolConnection} MySql2PoolConnection */
 /** @typedef {import('mysql2/promise').ResultSetHeader} MySql2ResultSetHeader */
+/** @typedef {import('mysql2').Connection} MySql2CoreConnection */
 
 /** @template TString1 @template TString2 @typedef {import('./toolbelt.js').AugmentString<TString1, TString2>} AugmentString */
 /** @template TModel @typedef {import('./toolbelt.js').TableJoinMetadata<TModel>} TableJoinMetadata */
 /** @template TModel @typedef {import('./toolbelt.js').WhereBuilderFunction<TModel>} WhereBuilderFunction */
 /** @template TModel @typedef {import('./toolbelt.js').OrderByBuilderFunction<TModel>} OrderByBuilderFunction */
-/** @template TModel @typedef {import('./toolbelt.js').GroupByBuilderFunction<TModel>} GroupByBuilderFunction */
+/** @template TModel @template [TAliases={}] @typedef {import('./toolbelt.js').GroupByBuilderFunction<TModel, TAliases>} GroupByBuilderFunction */
 /** @template TModel @typedef {import('./toolbelt.js').ExtractModel<TModel>} ExtractModel */
+/** @template TModel @template TKey @typedef {import('./toolbelt.js').KeyByValueType<TModel, TKey>} KeyByValueType */
 /** @typedef {import('./toolbelt.js').SuccessHandler} SuccessHandler */
 /** @typedef {import('./toolbelt.js').FailHandler} FailHandler */
-/** @typedef {import('./toolbelt.js').TableContextOptions} TableContextOptions */
+/** @template [TModel=AbstractModel] @typedef {import('./toolbelt.js').TableContextOptions<TModel>} TableContextOptions */
+/** @typedef {import('./toolbelt.js').InsertOptions} InsertOptions */
+/** @typedef {import('./toolbelt.js').UpsertResult} UpsertResult */
+/** @typedef {import('./toolbelt.js').InsertModeResult} InsertModeResult */
+/** @template T @typedef {import('./toolbelt.js').UpsertColumns<T>} UpsertColumns */
+/** @template T @typedef {import('./toolbelt.js').SelectableColumn<T>} SelectableColumn */
+/** @template T @typedef {import('./toolbelt.js').SelectedColumn<T>} SelectedColumn */
+/** @template T @typedef {import('./toolbelt.js').Page<T>} Page */
+/** @typedef {import('./toolbelt.js').MatchOptions} MatchOptions */
+/** @typedef {import('./toolbelt.js').RelevanceAlias} RelevanceAlias */
+/** @template T @typedef {import('./toolbelt.js').WithoutRelevance<T>} WithoutRelevance */
+/** @typedef {import('./toolbelt.js').Ungrouped} Ungrouped */
+/** @template TAliases @typedef {import('./toolbelt.js').AliasesOf<TAliases>} AliasesOf */
+/** @template T @template TAliases @template TDistinct @typedef {import('./toolbelt.js').QueriedModel<T, TAliases, TDistinct>} QueriedModel */
+/** @template T @typedef {import('./toolbelt.js').CursorPage<T>} CursorPage */
 /** @typedef {import('./toolbelt.js').GroupByAliases} GroupByAliases */
 /** @typedef {import('./toolbelt.js').AbstractModel} AbstractModel */
 /** @typedef {import('./toolbelt.js').IncludeOnOperatorCallback} IncludeOnOperatorCallback */
 /** @template T @template R @typedef {import('./toolbelt.js').IncludeOnCallback<T, R>} IncludeOnCallback */
-/** @template T @typedef {import('./toolbelt.js').IncludeCallback<T>} IncludeCallback */
+/** @template T @template [R=unknown] @typedef {import('./toolbelt.js').IncludeCallback<T, R>} IncludeCallback */
+/** @template T @typedef {import('./toolbelt.js').IncludedModel<T>} IncludedModel */
 /** @template T @typedef {import('./toolbelt.js').AbstractModelKeysToOnCallbacks<T>} AbstractModelKeysToOnCallbacks */
 
 /**
@@ -33,11 +52,83 @@ import { createPool } from "mysql2/promise";
  * @typedef {{[K in keyof T as T[K] extends (AbstractModel[]|undefined) ? K : never]: T[K] extends (infer R extends AbstractModel)[]|undefined ? R : never}} OnlyAbstractModelArrays
  */
 
+/**
+ * Configuration of a relationship that was set up using `.hasOne()`, `.hasMany()` or `.hasManyThrough()`.
+ * @template {AbstractModel} TTableModel
+ * @typedef {Object} Relationship
+ * @property {string} name Real name of the table that the related records are stored in.
+ * @property {(keyof TTableModel)[]} thisKey Columns of this table that relate to the other table.
+ * @property {string[]} thatKey Columns of the other table that relate to this table, in the same order as thisKey.
+ * @property {"1:1"|"1:n"|"n:n"} type Type of relationship.
+ * @property {MySqlTableContext<?>=} context Context of the other table, if it was passed into `.from()`. This is required to use `.thenInclude()` on this relationship.
+ * @property {JunctionTable=} through Junction table that links the records of this table to the records of the other table, if the relationship was set up using `.hasManyThrough()`.
+ * @property {{ column: string }=} softDelete Column of the other table that holds the date its records were soft deleted on, if it was passed into `.from()`.
+ */
+
+/**
+ * Options of the other table of a relationship, which are passed into `.from()` when the other table is referenced by its name instead of its MySqlTableContext.
+ * @typedef {Object} RelationshipOptions
+ * @property {{ column: string }=} softDelete Column that holds the date the related records were soft deleted on, so soft deleted records are left out of includes. 
+ * If the MySqlTableContext of the other table is passed into `.from()` instead, then its "softDelete" option is used.
+ */
+
+/**
+ * Junction table of a many-to-many relationship.
+ * @typedef {Object} JunctionTable
+ * @property {string} name Real name of the junction table.
+ * @property {string[]} thisKey Columns of the junction table that relate to this table.
+ * @property {string[]} thatKey Columns of the junction table that relate to the other table.
+ */
+
+/**
+ * Relationship that was specified to be included using `.include()`, along with the relationships of its records that were specified using `.thenInclude()`.
+ * @typedef {Object} Inclusion
+ * @property {Relationship<?>} relationship Relationship to include.
+ * @property {"="|"<>"|"<"|">"|"<="|">="|"LIKE"} operator Operator used to compare this key to that key. (this key is on the left side)
+ * @property {WhereBuilder<?>=} where Filter for the related records.
+ * @property {OrderBuilder<?>=} orderBy Order of the related records.
+ * @property {number=} limit Maximum number of related records to include for each record.
+ * @property {{[key: string]: Inclusion}} inclusions Relationships to include on the related records.
+ * @property {string[]=} select Qualified columns that are selected as this key, if the records are queried from a MySqlJoinContext.
+ */
+
+/**
+ * MySqlTableContext that was returned from `.include()` or `.thenInclude()`, where `.thenInclude()` includes records related to the last included model, TIncludedModel.
+ * @template {AbstractModel} TTableModel
+ * @template TIncludedModel
+ * @typedef {{ thenInclude: <TIncluded>(modelCallback: IncludeCallback<TIncludedModel extends AbstractModel ? TIncludedModel : never, TIncluded>, where?: WhereBuilderFunction<IncludedModel<TIncluded>>?, orderBy?: OrderByBuilderFunction<IncludedModel<TIncluded>>?, limit?: number?) => ThenIncludableContext<TTableModel, IncludedModel<TIncluded>> } & MySqlTableContext<TTableModel>} ThenIncludableContext
+ */
+
+/**
+ * MySqlTableContext that was returned from `.select()`, where queried records only hold the selected columns, TColumn. Records can still be filtered and ordered on any column of TTableModel.
+ * @template {AbstractModel} TTableModel
+ * @template TColumn
+ * @typedef {Omit<MySqlTableContext<TTableModel>, "get"|"getAll"|"find"|"getPage"|"getCursorPage"|"stream"|"query"|"where"|"orderBy"> & { 
+ *  get: (limit: number|string, offset?: number|string, where?: WhereBuilderFunction<TTableModel>?, groupBy?: GroupByBuilderFunction<TTableModel>?, orderBy?: OrderByBuilderFunction<(TTableModel & GroupByAliases)>?, distinct?: (keyof (TTableModel & GroupByAliases))[]?) => Promise<SelectedModel<TTableModel, TColumn>[]>,
+ *  getAll: (where?: WhereBuilderFunction<TTableModel>?, groupBy?: GroupByBuilderFunction<TTableModel>?, orderBy?: OrderByBuilderFunction<(TTableModel & GroupByAliases)>?, distinct?: (keyof (TTableModel & GroupByAliases))[]?) => Promise<SelectedModel<TTableModel, TColumn>[]>,
+ *  find: (key: TTableModel[keyof TTableModel]|Partial<TTableModel>) => Promise<SelectedModel<TTableModel, TColumn>|undefined>,
+ *  getPage: (page: number, pageSize: number, where?: WhereBuilderFunction<TTableModel>?, orderBy?: OrderByBuilderFunction<TTableModel>?) => Promise<Page<SelectedModel<TTableModel, TColumn>>>,
+ *  getCursorPage: (limit: number, orderBy: OrderByBuilderFunction<TTableModel>, cursor?: string?, where?: WhereBuilderFunction<TTableModel>?) => Promise<CursorPage<SelectedModel<TTableModel, TColumn>>>,
+ *  stream: (where?: WhereBuilderFunction<TTableModel>?, orderBy?: OrderByBuilderFunction<TTableModel>?, batchSize?: number) => AsyncGenerator<SelectedModel<TTableModel, TColumn>, void, undefined>,
+ *  query: () => MySqlQuery<TTableModel, {}, SelectedModel<TTableModel, TColumn>>,
+ *  where: (where: WhereBuilderFunction<TTableModel>) => MySqlQuery<TTableModel, {}, SelectedModel<TTableModel, TColumn>>,
+ *  orderBy: (orderBy: OrderByBuilderFunction<(TTableModel & GroupByAliases)>) => MySqlQuery<TTableModel, {}, SelectedModel<TTableModel, TColumn>>
+ * }} SelectedContext
+ */
+
+/**
+ * Model of the records that are queried from a context returned from `.select()`, which only hold the selected columns, TColumn.
+ * @template {AbstractModel} TTableModel
+ * @template TColumn
+ * @typedef {Pick<TTableModel, Extract<TColumn, keyof TTableModel>>} SelectedModel
+ */
+
 /**
  * @template {AbstractModel} TFrom
  * @template {AbstractModel|AbstractModel[]} TTo
  * @callback RelationshipFrom
- * @param {string} realTableName
+ * @param {string|MySqlTableContext<NonNullable<TTo>>} realTableName
+ * @param {RelationshipOptions=} options
  * @returns {{with: RelationshipWith<TFrom, TTo>}}
  */
 
@@ -45,14 +136,46 @@ import { createPool } from "mysql2/promise";
  * @template {AbstractModel} TFrom
  * @template {AbstractModel|AbstractModel[]} TTo
  * @callback RelationshipWith
- * @param {keyof TFrom} thisColumnName
+ * @param {keyof TFrom|(keyof TFrom)[]} thisColumnName
  * @returns {{to: RelationshipTo<TTo>}}
  */
 
 /**
  * @template {AbstractModel|AbstractModel[]} TTo
  * @callback RelationshipTo
- * @param {TTo extends undefined ? never : keyof TTo} thatColumnName
+ * @param {TTo extends undefined ? never : keyof TTo|(keyof TTo)[]} thatColumnName
+ */
+
+/**
+ * @template {AbstractModel} TFrom
+ * @template {AbstractModel|AbstractModel[]} TTo
+ * @callback RelationshipThroughFrom
+ * @param {string|MySqlTableContext<NonNullable<TTo>>} realTableName
+ * @param {RelationshipOptions=} options
+ * @returns {{through: RelationshipThrough<TFrom, TTo>}}
+ */
+
+/**
+ * @template {AbstractModel} TFrom
+ * @template {AbstractModel|AbstractModel[]} TTo
+ * @callback RelationshipThrough
+ * @param {string|MySqlTableContext<?>} junctionTableName
+ * @returns {{with: RelationshipThroughWith<TFrom, TTo>}}
+ */
+
+/**
+ * @template {AbstractModel} TFrom
+ * @template {AbstractModel|AbstractModel[]} TTo
+ * @callback RelationshipThroughWith
+ * @param {keyof TFrom|(keyof TFrom)[]} thisColumnName
+ * @returns {{to: (junctionColumnName: string|string[]) => {and: RelationshipThroughAnd<TTo>}}}
+ */
+
+/**
+ * @template {AbstractModel|AbstractModel[]} TTo
+ * @callback RelationshipThroughAnd
+ * @param {string|string[]} junctionColumnName
+ * @returns {{to: RelationshipTo<TTo>}}
  */
 
 /**
@@ -76,16 +199,37 @@ export class MySqlTableContext {
     static EVENT_TABLE_CONTEXT_DELETE = 'table-context-delete';
     /**  @readonly @private @type {'table-context-delete-failed'} Event fired when the Table Context inserts. */
     static EVENT_TABLE_CONTEXT_DELETE_FAILED = 'table-context-delete-failed';
+    /**  @readonly @private @type {number} Maximum number of keys that are sent in one query when including related records. */
+    static INCLUDE_CHUNK_SIZE = 1000;
+    /**  @readonly @private @type {number} Maximum number of placeholders MySQL allows in one prepared statement. */
+    static MAX_PLACEHOLDERS = 65535;
+    /**  @readonly @private @type {number} Type of a JSON column in the fields that mysql2 returns along with the records. */
+    // @ts-ignore Ignoring as mysql2 exports its "Types", but does not declare them in its typings.
+    static JSON_TYPE = mysql2.Types.JSON;
+    /**  @readonly @private @type {TableContextOptions<{}>} Options that a context has for every option that it was not given. */
+    static DEFAULT_OPTIONS = { 
+        allowTruncation: false, 
+        allowUpdateOnAll: false, 
+        sortKeys: false, 
+        maxRowsPerInsert: 1000,
+        maxBytesPerInsert: 1048576
+    };
 
     /** @const @protected @type {keyof TTableModel|null} */ _incKey;
     /** @protected @type {MySql2Pool} */_pool;
     /** @protected @type {string} */ _table;
     /** @protected @type {MySql2Connection} */ _cnn;
     /** @protected @type {Promise<MySql2Connection>} */ _cnnPromise;
-    /** @protected @type {TableContextOptions} */ _options;
-    /** @protected @type {(keyof TTableModel)?} */ _joinKey = null;
-    /** @protected @type {Partial<{[K in keyof TTableModel as TTableModel[K] extends (AbstractModel|undefined) ? K : never]: { name: string, thisKey: keyof TTableModel, thatKey: string, type: "1:1"|"1:n" }}>} */ includeConfigurations = {};
-    /** @protected @type {Partial<{[K in keyof TTableModel as TTableModel[K] extends (AbstractModel|undefined) ? K : never]: { cmd: string, key: keyof TTableModel }}>} */ inclusions = {};
+    /** @protected @type {TableContextOptions<TTableModel>} */ _options;
+    /** @protected @type {(keyof TTableModel)[]} Columns of the Table's primary key. */ _primaryKey;
+    /** @protected @type {MySqlTransaction?} Transaction this context is bound to, if it was bound using `MySqlTransaction.context()`. */ _transaction = null;
+    /** @protected @type {(keyof TTableModel)[]} */ _joinKey = [];
+    /** @protected @type {string[]?} Columns that are selected in queries, if they were narrowed using `.select()`. */ _select = null;
+    /** @protected @type {"without"|"with"|"only"} Whether soft deleted records are left out of, kept in, or are the only records in queries. */ _deletedScope = "without";
+    /** @protected @type {{ sql: string, args: any[] }?} Full-text search that filters queries and whose relevance is selected in them, if one was given using `.withRelevance()`. */ _relevance = null;
+    /** @protected @type {Partial<{[K in keyof TTableModel as TTableModel[K] extends (AbstractModel|undefined) ? K : never]: Relationship<TTableModel>}>} */ includeConfigurations = {};
+    /** @protected @type {{[key: string]: Inclusion}} */ inclusions = {};
+    /** @protected @type {string[]} Keys leading to the last relationship that was included, so `.thenInclude()` knows which records to include on. */ _includePath = [];
 
     /**
      * Creates a Connection Pool ready for use inside of multiple MySqlTableContext objects.
@@ -116,13 +260,48 @@ export class MySqlTableContext {
         return /** @type {T[]} */ (result[0]);
     }
 
+    /**
+     * Executes the callback inside of a transaction on a single connection from the given pool.  
+     * All MySqlTableContexts that are bound to the transaction (using `tx.context(ctx)`) will execute their commands on that connection.  
+     * If the callback finishes successfully, then the transaction is committed. If the callback throws, then the transaction is rolled back and the error is rethrown, even if the rollback fails.
+     * @example
+     * ```js
+     * await MySqlTableContext.transaction(pool, async (tx) => {
+     *     const [customer] = await tx.context(customerCtx).insertMany([{ FirstName: "John", LastName: "Doe" }]);
+     *     await tx.context(invoiceCtx).update({ CustomerId: customer.Id }, where => where.equals("InvoiceId", 1));
+     * });
+     * ```
+     * @template [T=void]
+     * @param {MySql2Pool} pool Connection Pool to get the transaction's connection from.
+     * @param {(tx: MySqlTransaction) => Promise<T>} callback Function that executes all of the commands that belong to the transaction.
+     * @returns {Promise<T>} The value that was returned from the callback.
+     */
+    static async transaction(pool, callback) {
+        const cnn = await pool.getConnection();
+        const tx = new MySqlTransaction(cnn);
+        try {
+            await cnn.beginTransaction();
+            const result = await callback(tx);
+            await cnn.commit();
+            return result;
+        } catch(err) {
+            // a failed rollback must not replace the error that caused it.
+            await cnn.rollback().catch(() => {});
+            throw err;
+        } finally {
+            // @ts-ignore Ignoring as we need access to the transaction's private variables. (in other languages, this is allowed.)
+            tx._finished = true;
+            cnn.release();
+        }
+    }
+
     /**
      * Creates a new MySQL table context given the mysql2 config options. The user may also pass in an existing "Pool" object too, 
      * which allows this context to work alongside other contexts.
      * @param {MySql2Pool|MySql2PoolOptions} configOrPool MySql2 config options to create a Pool object with or an existing Pool.
      * @param {string} table Name of the Table this context is connecting to.
      * @param {(keyof TTableModel)?} autoIncrementKey Primary key of the table that auto increments. If there is none, then leave null.
-     * @param {TableContextOptions} options Context options that enable certain features.
+     * @param {TableContextOptions<TTableModel>} options Context options that enable certain features.
      */
     constructor(configOrPool, table, autoIncrementKey=null, options = {}) {
         this._table = table;
@@ -138,12 +317,31 @@ export class MySqlTableContext {
         this._cnnPromise.then(cnn => {
             this._cnn = cnn;
         });
-        this._options = { 
-            allowTruncation: false, 
-            allowUpdateOnAll: false, 
-            sortKeys: false, 
-            ...options 
-        };
+        this._options = { ...MySqlTableContext.DEFAULT_OPTIONS, ...options };
+        const primaryKey = this._options.primaryKey ?? autoIncrementKey;
+        this._primaryKey = primaryKey == null ? [] : Array.isArray(primaryKey) ? primaryKey : [primaryKey];
+    }
+
+    /**
+     * Gets the object that commands should be executed on. This is the transaction's connection if this context is bound to a transaction, otherwise it is the pool.
+     * @protected
+     * @returns {MySql2Pool|MySql2PoolConnection} Pool or Connection to execute commands on.
+     */
+    _executor() {
+        if (this._transaction != null) {
+            return this._transaction.connection;
+        }
+        return this._pool;
+    }
+
+    /**
+     * Creates a shallow copy of this context that shares all of its configurations, but has the given properties overridden.
+     * @protected
+     * @param {{[key: string]: any}} overrides Properties to override on the new context.
+     * @returns {this} The new context.
+     */
+    _derive(overrides) {
+        return Object.assign(Object.create(this), overrides);
     }
 
     /**
@@ -151,9 +349,10 @@ export class MySqlTableContext {
      * @protected
      * @param {string} cmd Command to execute
      * @param {any[]=} args Arguments to pass to avoid sql injections.
+     * @param {{ table: string, column: string }[]=} json JSON columns to parse, if the records are not (only) of this context's Table. (e.g., related records)
      * @returns {Promise<TTableModel[]>} T models that are returned from the 
      */
-    async _query(cmd, args = undefined) {
+    async _query(cmd, args = undefined, json = this._getJsonColumns()) {
         let cmdRaw = cmd;
         try {
             await this._cnnPromise;
@@ -169,8 +368,8 @@ export class MySqlTableContext {
                 cmd,
                 args
             });
-            const [result] = await this._pool.query(cmd, args);
-            return /** @type {TTableModel[]} */ (result);
+            const [result, fields] = await this._executor().query(cmd, args);
+            return this._parseJsonColumns(/** @type {TTableModel[]} */ (result), fields, json);
         } catch(err) {
             this._pool.emit(`${MySqlTableContext.EVENT_TABLE_CONTEXT_QUERY_FAILED}-${this._table}`, {
                 error: err,
@@ -190,13 +389,13 @@ export class MySqlTableContext {
      * @private
      * @param {string} cmd Command to execute
      * @param {any[]=} args Arguments to pass to avoid sql injections.
-     * @returns {Promise<number[]>} The insertId of the first item inserted.
+     * @returns {Promise<MySql2ResultSetHeader>} Result of the insert, holding the insertId of the first item inserted.
      */
     async _insert(cmd, args = undefined) {
         let cmdRaw = cmd;
         try {
             await this._cnnPromise;
-            if (!cmd.startsWith("INSERT")) {
+            if (!cmd.startsWith("INSERT") && !cmd.startsWith("REPLACE")) {
                 throw Error("Unrecognized SQL insert command.");
             }
             if (args) {
@@ -209,7 +408,7 @@ export class MySqlTableContext {
                 });
             }
             args?.forEach(a => cmdRaw = cmdRaw.replace('?', typeof (a) === "string" || a instanceof Date ? `'${a}'` : a));
-            const [result] = /** @type {MySql2ResultSetHeader[]} */ (await this._pool.execute(cmd, args));
+            const [result] = /** @type {MySql2ResultSetHeader[]} */ (await this._executor().execute(cmd, args));
             this._pool.emit(`${MySqlTableContext.EVENT_TABLE_CONTEXT_INSERT}-${this._table}`, {
                 affectedRows: result.affectedRows,
                 dateIso: new Date().toISOString(),
@@ -219,7 +418,7 @@ export class MySqlTableContext {
                 cmd,
                 args,
             });
-            return Array.from(Array(result.affectedRows).keys()).map((_,n) => n + result.insertId);
+            return result;
         } catch(err) {
             this._pool.emit(`${MySqlTableContext.EVENT_TABLE_CONTEXT_INSERT_FAILED}-${this._table}`, { 
                 error: err, 
@@ -258,7 +457,7 @@ export class MySqlTableContext {
                 });
             }
             args?.forEach(a => cmdRaw = cmdRaw.replace('?', typeof (a) === "string" || a instanceof Date ? `'${a}'` : a));
-            const result = /** @type {MySql2ResultSetHeader} */ ((await this._pool.execute(cmd, args))[0]);
+            const result = /** @type {MySql2ResultSetHeader} */ ((await this._executor().execute(cmd, args))[0]);
             this._pool.emit(`${MySqlTableContext.EVENT_TABLE_CONTEXT_UPDATE}-${this._table}`, {
                 affectedRows: result.affectedRows,
                 dateIso: new Date().toISOString(),
@@ -284,7 +483,7 @@ export class MySqlTableContext {
     }
 
     /**
-     * Executes a delete command against the Table this context represents.
+     * Executes a delete command against the Table this context represents, which is an UPDATE command if the records are soft deleted.
      * @private
      * @param {string} cmd Delete command to execute
      * @param {any[]=} args Arguments to pass to avoid sql injections.
@@ -294,11 +493,20 @@ export class MySqlTableContext {
         let cmdRaw = cmd;
         try {
             await this._cnnPromise;
-            if (!cmd.startsWith("DELETE")) {
+            if (!cmd.startsWith("DELETE") && !(cmd.startsWith("UPDATE") && this._options.softDelete !== undefined)) {
                 throw Error("Unrecognized SQL update command.");
             }
+            if (args) {
+                // Convert UTC Date Strings to MySQL acceptable Date Strings (YYYY-MM-dd HH:mm:ss)
+                args = args.map(a => {
+                    if (/^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}\.[0-9]{3}Z$/.test(a)) {
+                        return a.replace('T', ' ').replace(/\.[0-9]{3}Z/, '');
+                    }
+                    return a;
+                });
+            }
             args?.forEach(a => cmdRaw = cmdRaw.replace('?', typeof(a) === "string" || a instanceof Date ? `'${a}'` : a));
-            const result = /** @type {MySql2ResultSetHeader} */ ((await this._pool.execute(cmd, args))[0]);
+            const result = /** @type {MySql2ResultSetHeader} */ ((await this._executor().execute(cmd, args))[0]);
             this._pool.emit(`${MySqlTableContext.EVENT_TABLE_CONTEXT_DELETE}-${this._table}`, {
                 affectedRows: result.affectedRows,
                 dateIso: new Date().toISOString(),
@@ -328,6 +536,8 @@ export class MySqlTableContext {
      * @example
      * ```js
      * fooContext.hasMany(m => m.Bars.from("Bar").with("FooId").to("BarId"));
+     * // or, if you want to use `.thenInclude()` on the Bars.
+     * fooContext.hasMany(m => m.Bars.from(barContext).with("FooId").to("BarId"));
      * // or, if the table is the same name as the property.
      * fooContext.hasMany(m => m.Bar.with("FooId").to("BarId"));
      * ```
@@ -338,31 +548,31 @@ export class MySqlTableContext {
         const $p = new Proxy({}, {
             get(t, p, v) {
                 return {
-                    /** @type {(realName: string) => { with: (columnName: string) => { to: (columnName: string) => void}}} */
-                    from(realTableName) {
+                    /** @type {(realName: string|MySqlTableContext<?>, options?: RelationshipOptions) => { with: (columnName: string|string[]) => { to: (columnName: string|string[]) => void}}} */
+                    from(realTableName, options = {}) {
                         return {
                             with(thisColumnName) {
                                 return {
                                     to(thatColumnName) {
                                         self.includeConfigurations[p] = { 
-                                            name: realTableName, 
-                                            thisKey: thisColumnName, 
-                                            thatKey: thatColumnName, 
-                                            type: "1:n" 
+                                            name: typeof(realTableName) === "string" ? realTableName : realTableName._table, 
+                                            ...pairKeys(thisColumnName, thatColumnName),
+                                            type: "1:n",
+                                            context: typeof(realTableName) === "string" ? undefined : realTableName,
+                                            softDelete: options.softDelete
                                         };
                                     }
                                 }
                             }
                         }
                     },
-                    /** @type {(columnName: string) => { to: (columnName: string) => void}} */
+                    /** @type {(columnName: string|string[]) => { to: (columnName: string|string[]) => void}} */
                     with(thisColumnName) {
                         return {
                             to(thatColumnName) {
                                 self.includeConfigurations[p] = {
                                     name: p,
-                                    thisKey: thisColumnName,
-                                    thatKey: thatColumnName,
+                                    ...pairKeys(thisColumnName, thatColumnName),
                                     type: "1:n"
                                 };
                             }
@@ -380,6 +590,8 @@ export class MySqlTableContext {
      * @example
      * ```js
      * fooContext.hasOne(m => m.MyRelatedRecord.from("Bar").with("FooId").to("BarId"));
+     * // or, if you want to use `.thenInclude()` on the related record.
+     * fooContext.hasOne(m => m.MyRelatedRecord.from(barContext).with("FooId").to("BarId"));
      * // or, if the table is named after the property
      * fooContext.hasOne(m => m.Bar.with("FooId").to("BarId"));
      * ```
@@ -391,30 +603,30 @@ export class MySqlTableContext {
             get(t,p) {
                 return {
                     /** @type {RelationshipFrom<TTableModel, OnlyAbstractModels<TTableModel>[typeof p]>} */
-                    from(realTableName) {
+                    from(realTableName, options = {}) {
                         return {
                             with(thisColumnName) {
                                 return {
                                     to(thatColumnName) {
                                         self.includeConfigurations[p] = { 
-                                            name: realTableName, 
-                                            thisKey: thisColumnName, 
-                                            thatKey: thatColumnName, 
-                                            type: "1:1" 
+                                            name: typeof(realTableName) === "string" ? realTableName : realTableName._table, 
+                                            ...pairKeys(thisColumnName, thatColumnName),
+                                            type: "1:1",
+                                            context: typeof(realTableName) === "string" ? undefined : realTableName,
+                                            softDelete: options.softDelete
                                         };
                                     }
                                 }
                             }
                         }
                     },
-                    /** @type {(columnName: string) => { to: (columnName: string) => void}} */
+                    /** @type {(columnName: string|string[]) => { to: (columnName: string|string[]) => void}} */
                     with(thisColumnName) {
                         return {
                             to(thatColumnName) {
                                 self.includeConfigurations[p] = {
                                     name: p,
-                                    thisKey: thisColumnName,
-                                    thatKey: thatColumnName,
+                                    ...pairKeys(thisColumnName, thatColumnName),
                                     type: "1:1"
                                 };
                             }
@@ -427,6 +639,124 @@ export class MySqlTableContext {
         relationshipCallback($p);
     }
 
+    /**
+     * Configures an informal many-to-many relationship between the Model referenced in this context with another Model that is defined as a property in the model type, 
+     * where the records are linked together through a junction table.  
+     * Records included through this relationship are the records of the other table, the rows of the junction table are never included.
+     * @example
+     * ```js
+     * // Foo.FooId <-> FooBar.FooId, FooBar.BarId <-> Bar.BarId
+     * fooContext.hasManyThrough(m => m.Bars.from("Bar").through("FooBar").with("FooId").to("FooId").and("BarId").to("BarId"));
+     * // or, if you want to use `.thenInclude()` on the Bars.
+     * fooContext.hasManyThrough(m => m.Bars.from(barContext).through("FooBar").with("FooId").to("FooId").and("BarId").to("BarId"));
+     * // or, if the table is the same name as the property.
+     * fooContext.hasManyThrough(m => m.Bar.through("FooBar").with("FooId").to("FooId").and("BarId").to("BarId"));
+     * ```
+     * @param {(m: Required<{[K in keyof OnlyAbstractModelArrays<TTableModel>]: { from: RelationshipThroughFrom<TTableModel, OnlyAbstractModelArrays<TTableModel>[K]>, through: RelationshipThrough<TTableModel, OnlyAbstractModelArrays<TTableModel>[K]> }}>) => void} relationshipCallback
+     */
+    hasManyThrough(relationshipCallback) {
+        const self = this;
+        const $p = new Proxy({}, {
+            get(t, p) {
+                /** @type {(realTableName: string|MySqlTableContext<?>, options?: RelationshipOptions) => RelationshipThrough<TTableModel, ?>} */
+                const through = (realTableName, options = {}) => (junctionTableName) => {
+                    return {
+                        with(thisColumnName) {
+                            return {
+                                to(junctionThisColumnName) {
+                                    return {
+                                        and(junctionThatColumnName) {
+                                            return {
+                                                to(thatColumnName) {
+                                                    self.includeConfigurations[p] = {
+                                                        name: typeof(realTableName) === "string" ? realTableName : realTableName._table,
+                                                        ...pairKeys(thisColumnName, thatColumnName),
+                                                        type: "n:n",
+                                                        context: typeof(realTableName) === "string" ? undefined : realTableName,
+                                                        softDelete: options.softDelete,
+                                                        through: {
+                                                            name: typeof(junctionTableName) === "string" ? junctionTableName : junctionTableName._table,
+                                                            thisKey: pairKeys(thisColumnName, junctionThisColumnName).thatKey,
+                                                            thatKey: pairKeys(junctionThatColumnName, thatColumnName).thisKey
+                                                        }
+                                                    };
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                };
+                return {
+                    from(realTableName, options = {}) {
+                        return { through: through(realTableName, options) };
+                    },
+                    through: through(String(p))
+                }
+            }
+        });
+        // @ts-ignore
+        relationshipCallback($p);
+    }
+
+    /**
+     * Links the given related records to a record by inserting rows into the junction table of a relationship that was configured using `.hasManyThrough()`.  
+     * The rows are split into commands the same way as `.insertMany()`.
+     * @example
+     * ```js
+     * fooContext.hasManyThrough(m => m.Bars.from("Bar").through("FooBar").with("FooId").to("FooId").and("BarId").to("BarId"));
+     * // inserts (FooId, BarId) rows into FooBar for each Bar.
+     * const numberAttached = await fooContext.attach(m => m.Bars, foo, [bar1, bar2]);
+     * ```
+     * @template TIncluded
+     * @param {IncludeCallback<TTableModel, TIncluded>} modelCallback Callback that contains a proxy of your Model. Reference the key of the relationship to attach to.
+     * @param {TTableModel} record Record to attach the related records to.
+     * @param {IncludedModel<TIncluded>[]} related Related records to attach.
+     * @returns {Promise<number>} Number of rows that were inserted into the junction table.
+     */
+    async attach(modelCallback, record, related) {
+        const { thisKey, thatKey, through } = getJunctionRelationship(this.includeConfigurations, this._table, modelCallback, "attach");
+        return await this._insertJunctionRows(through, related.map(r => [thisKey.map(k => record[k]), thatKey.map(k => r[k])]));
+    }
+
+    /**
+     * Unlinks related records from a record by deleting rows from the junction table of a relationship that was configured using `.hasManyThrough()`.  
+     * If no related records are given, then every related record is unlinked from the record. The related records themselves are never deleted.  
+     * The related records are split into as many commands as needed to stay within MySQL's limit of placeholders.
+     * @example
+     * ```js
+     * fooContext.hasManyThrough(m => m.Bars.from("Bar").through("FooBar").with("FooId").to("FooId").and("BarId").to("BarId"));
+     * // deletes the FooBar rows linking foo to bar1.
+     * const numberDetached = await fooContext.detach(m => m.Bars, foo, [bar1]);
+     * // deletes every FooBar row of foo.
+     * const numberDetached = await fooContext.detach(m => m.Bars, foo);
+     * ```
+     * @template TIncluded
+     * @param {IncludeCallback<TTableModel, TIncluded>} modelCallback Callback that contains a proxy of your Model. Reference the key of the relationship to detach from.
+     * @param {TTableModel} record Record to detach the related records from.
+     * @param {IncludedModel<TIncluded>[]?} related Related records to detach. If not specified, then every related record is detached.
+     * @returns {Promise<number>} Number of rows that were deleted from the junction table.
+     */
+    async detach(modelCallback, record, related = null) {
+        const { thisKey, thatKey, through } = getJunctionRelationship(this.includeConfigurations, this._table, modelCallback, "detach");
+        if (related != null && related.length <= 0) return 0;
+        const cmd = `DELETE FROM \`${through.name}\` WHERE ${through.thisKey.map(k => `\`${k}\` = ?`).join(' AND ')}`;
+        const args = thisKey.map(k => record[k]);
+        if (related == null) {
+            return await this._delete(cmd, args);
+        }
+        // The related keys are split into as many commands as needed to stay within MySQL's limit of placeholders.
+        const chunkSize = Math.max(1, Math.floor((MySqlTableContext.MAX_PLACEHOLDERS - args.length) / thatKey.length));
+        let numRowsAffected = 0;
+        for (let i = 0; i < related.length; i += chunkSize) {
+            const inClause = buildIn(through.thatKey.map(k => `\`${k}\``), related.slice(i, i + chunkSize).map(r => thatKey.map(k => r[k])));
+            numRowsAffected += await this._delete(`${cmd} AND ${inClause.sql}`, [...args, ...inClause.args]);
+        }
+        return numRowsAffected;
+    }
+
     /**
      * Gets the total number of records that are stored in the Table this context represents.
      * @param {WhereBuilderFunction<TTableModel>?} where Used to filter the results.
@@ -435,264 +765,1398 @@ export class MySqlTableContext {
      */
     async count(where = null, distinct = null) {
         const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
-        let cmd = `SELECT ${distinct != null ? `COUNT(DISTINCT ${distinct.join(',')}) AS count` : "COUNT(*) AS $count"} FROM \`${this._table}\`${_where.toString()}`;
-        const ts = await this._query(cmd, _where.getArgs());
+        let cmd = `SELECT ${distinct != null ? `COUNT(DISTINCT ${distinct.join(',')}) AS $count` : "COUNT(*) AS $count"} FROM \`${this._table}\`${this._filter(_where.toString())}`;
+        const ts = await this._query(cmd, this._getFilterArgs(_where));
         return ts[0]["$count"];
     }
 
     /**
      * Get a specific quantity of records from the Table this context represents.
+     * @template {{[alias: string]: any}} [TAliases=Ungrouped] Aliases of the aggregates that are selected for each group.
+     * @template {(keyof (TTableModel & GroupByAliases & AliasesOf<TAliases>))[]?} [TDistinct=null] Columns that are selected distinctively.
      * @param {number|string} limit Number of records to grab.
      * @param {number|string} offset Number specified to offset from the beginning.
      * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
-     * @param {GroupByBuilderFunction<TTableModel>?} groupBy Builder function to help build a GROUP BY clause.
-     * @param {OrderByBuilderFunction<(TTableModel & GroupByAliases)>?} orderBy Builder function to help build an ORDER BY clause.
-     * @param {(keyof (TTableModel & GroupByAliases))[]?} distinct List of column names under this TableContext to select distinctively off of.
-     * @returns {Promise<(TTableModel & GroupByAliases)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added.
+     * @param {GroupByBuilderFunction<TTableModel, TAliases>?} groupBy Builder function to help build a GROUP BY clause.
+     * @param {OrderByBuilderFunction<(TTableModel & GroupByAliases & AliasesOf<TAliases>)>?} orderBy Builder function to help build an ORDER BY clause.
+     * @param {TDistinct?} distinct List of column names under this TableContext to select distinctively off of.
+     * @returns {Promise<(QueriedModel<TTableModel, TAliases, TDistinct> & GroupByAliases & AliasesOf<TAliases>)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added. The `$relevance` of `.withRelevance()` is not selected if a GROUP BY clause or DISTINCT columns are used.
      */
     async get(limit, offset = 0, where = null, groupBy = null, orderBy = null, distinct = null) {
         const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
         const _groupBy = groupBy != null ? groupBy(new GroupBuilder()) : new GroupBuilder();
         const _orderBy = orderBy != null ? orderBy(new OrderBuilder()) : new OrderBuilder();
-        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : _groupBy.getSelects()} `
-            + `FROM \`${this._table}\`${_where.toString()}${_groupBy.toString()}${_orderBy.toString()} `
+        _groupBy.validateFill(limit > 0 || offset > 0, _orderBy.toString() !== "");
+        this._validateInclusions(_groupBy, distinct);
+        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : this._getSelects(_groupBy)} `
+            + `FROM \`${this._table}\`${this._filter(_where.toString())}${_groupBy.toString()}${_orderBy.toString()} `
             + `${limit > 0 ? "LIMIT " + limit : ""} `
             + `${offset > 0 ? "OFFSET " + offset : ""}`;
-        const ts = await this._query(cmd, _where.getArgs());
-
-        if (Object.keys(this.inclusions).length > 0) {
-            for (const t of ts) {
-                for (const key in this.inclusions) {
-                    const inclusion = this.inclusions[key];
-                    if (inclusion === undefined) continue;
-                    const includedModels = await this._query(inclusion.cmd, [t[inclusion.key]]);
-                    if (this.includeConfigurations[key]?.type === "1:1") {
-                        //@ts-ignore 
-                        t[key] = includedModels[0];
-                    } else {
-                        //@ts-ignore 
-                        t[key] = includedModels;
-                    }
-                }
-            }
-        }
-        return ts;
+        const ts = await this._query(cmd, [...(distinct == null ? this._getSelectArgs(_groupBy) : []), ...this._getFilterArgs(_where), ..._groupBy.getArgs()]);
+        await this._includeSelected(ts);
+        return /** @type {any} */ (_groupBy.fillGaps(ts, this._getPoolTimezone()));
     }
 
     /**
      * Get all records from the Table this context represents.
+     * @template {{[alias: string]: any}} [TAliases=Ungrouped] Aliases of the aggregates that are selected for each group.
+     * @template {(keyof (TTableModel & GroupByAliases & AliasesOf<TAliases>))[]?} [TDistinct=null] Columns that are selected distinctively.
      * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
-     * @param {GroupByBuilderFunction<TTableModel>?} groupBy Builder function to help build a GROUP BY clause.
-     * @param {OrderByBuilderFunction<(TTableModel & GroupByAliases)>?} orderBy Builder function to help build an ORDER BY clause.
-     * @param {(keyof (TTableModel & GroupByAliases))[]?} distinct List of column names under this TableContext to select distinctively off of.
-     * @returns {Promise<(TTableModel & GroupByAliases)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added.
+     * @param {GroupByBuilderFunction<TTableModel, TAliases>?} groupBy Builder function to help build a GROUP BY clause.
+     * @param {OrderByBuilderFunction<(TTableModel & GroupByAliases & AliasesOf<TAliases>)>?} orderBy Builder function to help build an ORDER BY clause.
+     * @param {TDistinct?} distinct List of column names under this TableContext to select distinctively off of.
+     * @returns {Promise<(QueriedModel<TTableModel, TAliases, TDistinct> & GroupByAliases & AliasesOf<TAliases>)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added. The `$relevance` of `.withRelevance()` is not selected if a GROUP BY clause or DISTINCT columns are used.
     */
     async getAll(where = null, groupBy = null, orderBy = null, distinct = null) {
         const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
         const _orderBy = orderBy != null ? orderBy(new OrderBuilder()) : new OrderBuilder();
         const _groupBy = groupBy != null ? groupBy(new GroupBuilder()) : new GroupBuilder();
-        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : _groupBy.getSelects()} `
-            + `FROM \`${this._table}\`${_where.toString()}${_groupBy.toString()}${_orderBy.toString()} `;
-        const ts = await this._query(cmd, _where.getArgs());
-        
-        if(Object.keys(this.inclusions).length > 0) {
-            for(const t of ts) {
-                for(const key in this.inclusions) {
-                    const inclusion = this.inclusions[key];
-                    if(inclusion === undefined) continue;
-                    const includedModels = await this._query(inclusion.cmd, [t[inclusion.key]]);
-                    if(this.includeConfigurations[key]?.type === "1:1") {
-                        //@ts-ignore 
-                        t[key] = includedModels[0];
-                    } else {
-                        //@ts-ignore 
-                        t[key] = includedModels;
-                    }
-                }
-            }
-        }
-        return ts;
+        _groupBy.validateFill(false, _orderBy.toString() !== "");
+        this._validateInclusions(_groupBy, distinct);
+        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : this._getSelects(_groupBy)} `
+            + `FROM \`${this._table}\`${this._filter(_where.toString())}${_groupBy.toString()}${_orderBy.toString()} `;
+        const ts = await this._query(cmd, [...(distinct == null ? this._getSelectArgs(_groupBy) : []), ...this._getFilterArgs(_where), ..._groupBy.getArgs()]);
+        await this._includeSelected(ts);
+        return /** @type {any} */ (_groupBy.fillGaps(ts, this._getPoolTimezone()));
     }
 
     /**
-     * Insert a single TTableModel model object into the Table this context represents. 
-     * @param {TTableModel} record A list of TTableModel model objects to insert into the Table.
-     * @returns {Promise<TTableModel>} TTableModel model object that was inserted.
-     * If an Auto Increment Primary Key was specified, the Insert ID will be updated.
+     * Get a page of records from the Table this context represents, along with the total number of records that match the WHERE clause.  
+     * The records and the total are queried at the same time.
+     * @example
+     * ```js
+     * const { items, total, totalPages } = await invoiceContext.getPage(3, 25, where => where.equals("Paid", 0), order => order.by("InvoiceDate").desc());
+     * ```
+     * @param {number} page Number of the page to get, starting at 1.
+     * @param {number} pageSize Maximum number of records on each page.
+     * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
+     * @param {OrderByBuilderFunction<TTableModel>?} orderBy Builder function to help build an ORDER BY clause.
+     * @returns {Promise<Page<TTableModel>>} Records on the page, along with the total number of records and pages.
      */
-    async insertOne(record) {
-        return (await this.insertMany([record]))[0];
+    async getPage(page, pageSize, where = null, orderBy = null) {
+        if (!Number.isInteger(page) || page < 1) {
+            throw Error(`The page must be a whole number starting at 1, but ${page} was given.`);
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw Error(`The number of records on a page must be a whole number greater than 0, but ${pageSize} was given.`);
+        }
+        const [items, total] = await Promise.all([
+            this.get(pageSize, (page - 1) * pageSize, where, null, orderBy),
+            this.count(where)
+        ]);
+        return { items, total, page, pageSize, totalPages: Math.ceil(total / pageSize) };
     }
 
     /**
-     * Insert a multiple TTableModel model objects into the Table this context represents. 
-     * @param {TTableModel[]} records A list of TTableModel model objects to insert into the Table.
-     * @returns {Promise<TTableModel[]>} List of the TTableModel model objects that were inserted. 
-     * If an Auto Increment Primary Key was specified, the Insert ID for each object will be updated appropriately.
+     * Get a page of records from the Table this context represents using keyset (cursor) pagination, which stays fast on deep pages 
+     * and does not skip or repeat records when records are inserted or deleted between requests.  
+     * Records are paged by the values of the columns they are ordered by, so the columns should not be NULL and should uniquely identify a record. 
+     * If a primary key was configured, then its columns are added to the end of the ordering to break ties. Aliases, such as `$relevance`, cannot be ordered by.
+     * @example
+     * ```js
+     * const first = await invoiceContext.getCursorPage(10, order => order.by("InvoiceDate").desc());
+     * const second = await invoiceContext.getCursorPage(10, order => order.by("InvoiceDate").desc(), first.nextCursor);
+     * const firstAgain = await invoiceContext.getCursorPage(10, order => order.by("InvoiceDate").desc(), second.prevCursor);
+     * ```
+     * @param {number} limit Number of records on each page.
+     * @param {OrderByBuilderFunction<TTableModel>} orderBy Builder function to help build an ORDER BY clause, which the records are paged by.
+     * @param {string?} cursor Cursor of the page to get, which was returned as the `nextCursor` or `prevCursor` of another page. If null, then the first page is returned.
+     * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
+     * @returns {Promise<CursorPage<TTableModel>>} Records on the page, and the cursors to get the pages before and after it.
      */
-    async insertMany(records) {
-        // This is a semi-complex function, so comments are tagged above most lines of code to help any users interpret the functionality.
-        if (!Array.isArray(records) || records.length <= 0) return [];
-        if(this._incKey != null) {
-            records.forEach(r => {
-                // @ts-ignore
-                delete r[this._incKey];
-            })
+    async getCursorPage(limit, orderBy, cursor = null, where = null) {
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw Error(`The number of records on a page must be a whole number greater than 0, but ${limit} was given.`);
         }
-        // Copy the records.
-        /** @type {(records: TTableModel[]) => TTableModel[]} */
-        const clone = (recs) => JSON.parse(JSON.stringify(recs));
-        // Get all unique keys from all of the records. (also remove the column representing the incrementing key, if it was specified and exists)
-        const allKeys = clone(records).flatMap(rec => Object.keys(rec)).filter((rec,n,self) => self.indexOf(rec) == n);
-        const keysFiltered = allKeys.filter(col => this._incKey == null || col != this._incKey).filter(col => records[0][col] instanceof Date || typeof(records[0][col]) !== "object");
-        console.log(keysFiltered, records[0]["Employee"]);
-        // sort, so the keys don't get mangled to the wrong values.
-        if(this._options.sortKeys) {
-            keysFiltered.sort();
+        const builder = new OrderBuilder();
+        orderBy(builder);
+        const orders = builder.getOrders();
+        if (orders.length <= 0) {
+            throw Error('At least one column must be ordered by to page records using a cursor.');
         }
-        // Use the keys to create our INTO (...columns) part.
-        const cols = keysFiltered.map(col => `\`${col}\``).join(', ');
-        // Create an array of (?[,...?]) strings that represent each record to insert.
-        const vals = Array.from(Array(records.length).keys()).map(_ => `(${Array.from(Array(keysFiltered.length).keys()).map(_ => '?').join(',')})`).join(',');
-        // Create an array of all of the arguments. (any records that do not have the column that was being inserted just has null get inserted EXPLICITLY)
-        const args = records.flatMap(rec => keysFiltered.map(k => k in rec ? rec[k] : null));
-        
-        const cmd = `INSERT INTO \`${this._table}\` (${cols}) VALUES ${vals}`;
-        const insertIds = await this._insert(cmd, args);
-
-        if(this._incKey != null) {
-            // Map "items" so their Id reflects the database.
-            return records.map((rec,n) => {
-                //@ts-ignore
-                rec[this._incKey] = insertIds[n];
-                return rec;
-            });
+        // The cursor is compared in the WHERE clause, where MySQL cannot reference the aliases of the columns that are selected. (e.g., "$relevance")
+        const alias = orders.find(o => o.column.startsWith("$"));
+        if (alias !== undefined) {
+            throw Error(`Records cannot be paged by "${alias.column}" using a cursor, since it is an alias that cannot be compared in a WHERE clause.`);
         }
-        return records;
+        // The primary key breaks ties between records that have the same values in the ordered columns. 
+        // It is ordered in the same direction as the last column, so the columns can still be compared as a row.
+        // The columns are qualified with their Table, so they are not ambiguous, and are compared the same way in the ORDER BY and WHERE clauses.
+        orders.forEach(o => o.column = this._qualifyColumn(o.column));
+        const desc = orders[orders.length - 1].desc;
+        for (const key of this._primaryKey.map(k => this._qualifyColumn(String(k)))) {
+            if (!orders.some(o => o.column === key)) {
+                orders.push({ column: key, desc });
+            }
+        }
+        const { direction, values, inclusive } = cursor != null ? decodeCursor(cursor, orders.length) : { direction: "next", values: null, inclusive: false };
+        // Pages before the cursor are queried in the reverse order, so the records closest to the cursor are taken.
+        const isBackward = direction === "prev";
+        const keyset = values !== null ? buildKeyset(orders, values, isBackward, inclusive) : null;
+        // The cursors are made from the values of the ordered columns, so they are selected even if they were not selected on this context.
+        const select = this._select;
+        const unselected = select === null ? [] : orders.map(o => o.column).filter(c => !select.some(s => isSameColumn(s, c)));
+        const context = unselected.length > 0 ? this._derive({ _select: [...(select ?? []), ...unselected] }) : this;
+
+        /** @type {WhereBuilderFunction<TTableModel>} */
+        const keysetWhere = w => {
+            const built = where != null ? where(w) : w;
+            return keyset !== null ? built.merge(keyset.sql, keyset.args) : built;
+        };
+        /** @type {OrderByBuilderFunction<TTableModel>} */
+        const keysetOrderBy = o => orders.reduce((o, { column, desc }) => {
+            const by = o.by(/** @type {keyof TTableModel} */ (column));
+            return desc !== isBackward ? by.desc() : by.asc();
+        }, o);
+
+        // One extra record is queried to know if there is another page.
+        const ts = /** @type {TTableModel[]} */ (await context.get(limit + 1, 0, keysetWhere, null, keysetOrderBy));
+        const hasMore = ts.length > limit;
+        const items = ts.slice(0, limit);
+        if (isBackward) {
+            items.reverse();
+        }
+        /** @type {(record: TTableModel) => any[]} */
+        const valuesOf = record => orders.map(o => record[/** @type {string} */ (o.column.split(".").pop())]);
+        const hasNext = isBackward ? items.length > 0 : hasMore;
+        const hasPrev = isBackward ? hasMore : cursor != null && items.length > 0;
+        /** @type {string?} */
+        let nextCursor = hasNext ? encodeCursor("next", valuesOf(items[items.length - 1])) : null;
+        /** @type {string?} */
+        let prevCursor = hasPrev ? encodeCursor("prev", valuesOf(items[0])) : null;
+        // An empty page has no records to make the cursor back from, so it is made from the cursor's values instead, 
+        // including the record the cursor was made from.
+        if (values !== null && items.length <= 0) {
+            if (isBackward) {
+                nextCursor = encodeCursor("next", values, true);
+            } else {
+                prevCursor = encodeCursor("prev", values, true);
+            }
+        }
+        // The records hold the columns without their Table.
+        const selected = (select ?? []).map(c => c.split(".").pop());
+        for (const column of unselected.map(c => /** @type {string} */ (c.split(".").pop())).filter(c => !selected.includes(c))) {
+            items.forEach(t => delete t[column]);
+        }
+        return { items, nextCursor, prevCursor };
     }
 
     /**
-     * Update many existing TTableModel model objects in the Table this context represents.
-     * @param {Partial<Omit<Omit<TTableModel, keyof OnlyAbstractModels<TTableModel>>, keyof OnlyAbstractModelArrays<TTableModel>>>} record List of TTableModel model objects to insert into the Table.
+     * Streams the records from the Table this context represents, so they can be iterated over without holding every record in memory.  
+     * Records are read from the database as they are iterated over, and included relationships are fetched for each batch of records.  
+     * Streaming uses a connection of its own, so it cannot be used on a context that is bound to a transaction.
+     * @example
+     * ```js
+     * for await (const invoice of invoiceContext.include(m => m.InvoiceLines).stream(where => where.equals("Paid", 1))) {
+     *     await exportInvoice(invoice);
+     * }
+     * ```
      * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
-     * @returns {Promise<number>} Number of affected rows.
+     * @param {OrderByBuilderFunction<TTableModel>?} orderBy Builder function to help build an ORDER BY clause.
+     * @param {number} batchSize Number of records that are buffered, and that included relationships are fetched for at once. (default: 1000)
+     * @returns {AsyncGenerator<TTableModel, void, undefined>} Records of the Table, in the order they are read.
      */
-    async update(record, where = null) {
+    async *stream(where = null, orderBy = null, batchSize = 1000) {
         const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
-        if (Object.keys(record).length <= 0) throw Error('The record passed has no keys to represent the column(s) to update.');
-        if (where == null || _where.getArgs().length <= 0) {
-            throw Error('No WHERE clause was built, possibly resulting in all records in the table being updated.'
-                + '\n\tIf you are sure you know what you are doing, then use the "updateAll" function.');
-        }
-
-        // Serialize the value sets, removing the AUTO_INCREMENT key if it exists in the record.
-        const sets = Object.keys(record).filter(key => this._incKey == null || key != this._incKey).map(key => `\`${key}\`=?`).join(', ');
-        const args = Object.entries(record).filter(([k, _]) => this._incKey == null || k != this._incKey).map(([_,v]) => v);
-
-        const cmd = `UPDATE \`${this._table}\` SET ${sets}${_where.toString()}`;
-        const numRowsAffected = this._update(cmd, [...args, ..._where.getArgs()]);
-        return numRowsAffected;
+        const _orderBy = orderBy != null ? orderBy(new OrderBuilder()) : new OrderBuilder();
+        const cmd = `SELECT ${this._getSelects(new GroupBuilder())} FROM \`${this._table}\`${this._filter(_where.toString())}${_orderBy.toString()}`;
+        yield* this._stream(cmd, [...this._getSelectArgs(new GroupBuilder()), ...this._getFilterArgs(_where)], batchSize, records => this._includeSelected(records));
     }
 
     /**
-     * Update all records in the Table this context represents.
-     * WARNING: This function will update all records in the table. 
-     * To avoid accidental calls to this function, an Error will be thrown warning the developer prompting them to set "allowUpdateOnAll" to true in the options.
-     * @param {Partial<Omit<Omit<TTableModel, keyof OnlyAbstractModels<TTableModel>>, keyof OnlyAbstractModelArrays<TTableModel>>>} record TTableModel model object to use to update all the records.
-     * @returns {Promise<number>} Number of affected rows.
+     * Executes a query command against the Table this context represents, streaming the records as they are read.  
+     * The stream is paused whenever the buffer of records is full, until the records are iterated over.
+     * @protected
+     * @param {string} cmd Command to execute
+     * @param {any[]} args Arguments to pass to avoid sql injections.
+     * @param {number} batchSize Number of records that are buffered, and that are passed into include at once.
+     * @param {(records: TTableModel[]) => Promise<void>} include Function that includes the related records on a batch of records.
+     * @returns {AsyncGenerator<TTableModel, void, undefined>} Records that are returned from the command.
      */
-    async updateAll(record) {
-        if (Object.keys(record).length <= 0) throw Error('The record passed has no keys to represent the column(s) to update.');
-        if(!this._options.allowUpdateOnAll) {
-            throw Error('You are trying to update all records in the table with no filter.'
-                + '\n\tIf you are trying to update select records, see "updateMany".'
-                + '\n\tIf you know what you are doing, then pass into the "options" parameter in the constructor, "allowUpdateOnAll: true"');
+    async *_stream(cmd, args, batchSize, include) {
+        if (this._transaction != null) {
+            throw Error('Records cannot be streamed inside of a transaction, since streaming needs a connection of its own.');
+        }
+        let cmdRaw = cmd;
+        args.forEach(a => cmdRaw = cmdRaw.replace('?', a));
+        /** @type {MySql2PoolConnection?} */
+        let cnn = null;
+        let isFinished = false;
+        let isIncluding = false;
+        try {
+            await this._cnnPromise;
+            cnn = await this._pool.getConnection();
+            this._pool.emit(`${MySqlTableContext.EVENT_TABLE_CONTEXT_QUERY}-${this._table}`, {
+                dateIso: new Date().toISOString(),
+                host: this._cnn.config.host,
+                schema: `[${this._cnn.config.database}].[dbo].[${this._table}]`,
+                cmdRaw,
+                cmd,
+                args
+            });
+            // Streaming is only available on the connection that the promise wrapper wraps.
+            const core = /** @type {MySql2CoreConnection} */ (/** @type {any} */ (cnn).connection);
+            const query = core.query(cmd, args);
+            /** @type {import('mysql2').FieldPacket[]} */
+            let fields = [];
+            // the typings of mysql2 declare a single field, but every field of the result is emitted.
+            query.on("fields", f => fields = /** @type {any} */ (f));
+            const rows = query.stream({ highWaterMark: batchSize });
+            /** @type {TTableModel[]} */
+            let batch = [];
+            for await (const row of rows) {
+                batch.push(...this._parseJsonColumns([row], fields));
+                if (batch.length >= batchSize) {
+                    isIncluding = true;
+                    await include(batch);
+                    isIncluding = false;
+                    yield* batch;
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) {
+                isIncluding = true;
+                await include(batch);
+                isIncluding = false;
+                yield* batch;
+            }
+            isFinished = true;
+        } catch(err) {
+            // Errors from including were already emitted and wrapped by the queries that include the related records.
+            if (isIncluding) throw err;
+            this._pool.emit(`${MySqlTableContext.EVENT_TABLE_CONTEXT_QUERY_FAILED}-${this._table}`, {
+                error: err,
+                dateIso: new Date().toISOString(),
+                host: this._cnn.config.host,
+                schema: `[${this._cnn.config.database}].[dbo].[${this._table}]`,
+                cmdRaw,
+                cmd,
+                args
+            });
+            throw Error(`An error occurred when attempting to query from ${`[${this._cnn.config.database}].[dbo].[${this._table}]`}. Error: ${err}`);
+        } finally {
+            // If the records were not read to the end, then the connection is still in the middle of the query, so it cannot be reused.
+            if (isFinished) {
+                cnn?.release();
+            } else {
+                cnn?.destroy();
+            }
         }
-
-        // Serialize the value sets, removing the AUTO_INCREMENT key if it exists in the record.
-        const sets = Object.keys(record).filter(key => this._incKey != null && key != this._incKey).map(key => `\`${key}\`=?`).join(', ');
-        const args = Object.entries(record).filter(([k, _]) => this._incKey != null && k != this._incKey).map(([_, v]) => v);
-
-        const cmd = `UPDATE \`${this._table}\` SET ${sets}`;
-        const numRowsAffected = this._update(cmd, args);
-        return numRowsAffected;
     }
 
     /**
-     * Delete many records from the table this context represents.
-     * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
-     * @returns {Promise<number>} Number of deleted rows.
+     * Get the record with the given primary key from the Table this context represents.
+     * @example
+     * ```js
+     * const customer = await customerContext.find(1);
+     * // or, if the primary key is composite.
+     * const playlistTrack = await playlistTrackContext.find({ PlaylistId: 1, TrackId: 2 });
+     * ```
+     * @param {TTableModel[keyof TTableModel]|Partial<TTableModel>} key Value of the primary key, or an object holding every column of the primary key.
+     * @returns {Promise<TTableModel|undefined>} The record with the given primary key, or undefined if no record has that key.
      */
-    async delete(where = null) {
-        const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
-        if (where == null || _where.getArgs().length <= 0) {
-            throw Error('No WHERE clause was built, possibly resulting in all records in the table being deleted.'
-                + '\n\tIf you are sure you know what you are doing, then use the "truncate" function.');
-        }
-        const cmd = `DELETE FROM \`${this._table}\`${_where.toString()}`;
-        const ts = await this._delete(cmd, _where.getArgs());
-        return ts;
+    async find(key) {
+        const record = this._primaryKey.length === 1 && (typeof(key) !== "object" || key instanceof Date) 
+            ? /** @type {Partial<TTableModel>} */ ({ [this._primaryKey[0]]: key }) 
+            : /** @type {Partial<TTableModel>} */ (key);
+        const [t] = await this.get(1, 0, this._whereKey(record));
+        return t;
     }
 
     /**
-     * Truncate the table this context represents.
-     * WARNING: This function will delete all records in the table. 
-     * To avoid accidental calls to this function, an Error will be thrown warning the developer prompting them to set "allowTruncation" to true in the options.
-     * @returns {Promise<number>} Number of deleted rows.
+     * Creates a query on the Table this context represents, which is built by chaining its functions instead of passing positional arguments.
+     * @example
+     * ```js
+     * const invoices = await invoiceContext.query().orderBy(order => order.by("InvoiceDate").desc()).take(10).toArray();
+     * ```
+     * @returns {MySqlQuery<TTableModel>} A query that queries every record of this context.
      */
-    async truncate() {
-        if (!this._options.allowTruncation) {
-            throw Error('You are trying to delete all records in the table. '
-                + '\n\tIf you are trying to delete select records, see "deleteMany". '
-                + '\n\tIf you know what you are doing, then pass into the "options" parameter in the constructor, "allowTruncation: true"');
-        }
-        const cmd = `TRUNCATE \`${this._table}\``;
-        const ts = await this._delete(cmd);
-        return ts;
+    query() {
+        return new MySqlQuery(this);
     }
 
     /**
-     * Specifies that your next Query will also pull in the specified related Record from the database.  
-     * In order for your related record to be properly included, there needs to be a relationship configured using the `.hasOne` or `.hasMany` function.
+     * Creates a query on the Table this context represents that is filtered using the given WHERE clause.
      * @example
      * ```js
-     * fooContext.hasOne(m => m.Bar.with("FooId").to("BarId"));
-     * const myFoos = await fooContext.include(m => m.Bar).getAll();
+     * const unpaid = invoiceContext.where(where => where.equals("Paid", 0));
+     * const page = await unpaid.orderBy(order => order.by("InvoiceDate").desc()).skip(20).take(10).toArray();
+     * const total = await unpaid.count();
      * ```
-     * @param {IncludeCallback<TTableModel>} modelCallback Callback that contains a proxy of your Model. Reference the key you'd like to include in your next query.
+     * @param {WhereBuilderFunction<TTableModel>} where Builder function to help build a WHERE clause.
+     * @returns {MySqlQuery<TTableModel>} A query that queries the filtered records of this context.
      */
-    include(modelCallback) {
-        // ctx.Customer.include(m => m.Artist.on("CustomerId", "ArtistId").beingEqual()).getAll(where => where.equals("Id", 1));
-        // m in include should be of type TTableModel filtered where only MySqlTableContexts are available.
-        // m should be a proxy which then returns an `on` function, where they can specify the key.
+    where(where) {
+        return this.query().where(where);
+    }
 
-        let modelKey = "";
+    /**
+     * Creates a query on the Table this context represents that is ordered using the given ORDER BY clause.
+     * @param {OrderByBuilderFunction<(TTableModel & GroupByAliases)>} orderBy Builder function to help build an ORDER BY clause.
+     * @returns {MySqlQuery<TTableModel>} A query that queries the ordered records of this context.
+     */
+    orderBy(orderBy) {
+        return this.query().orderBy(orderBy);
+    }
 
-        const $p = new Proxy({}, {
-            get(t,p,r) {
-                if(typeof(p) !== "string") {
-                    throw new Error('Table must be a valid string representing the table to include.');
+    /**
+     * Creates a query on the Table this context represents that is grouped using the given GROUP BY clause.
+     * @template {{[alias: string]: any}} [TAliases={}] Aliases of the aggregates that are selected for each group.
+     * @param {GroupByBuilderFunction<TTableModel, TAliases>} groupBy Builder function to help build a GROUP BY clause.
+     * @returns {MySqlQuery<WithoutRelevance<TTableModel>, TAliases>} A query that queries the grouped records of this context.
+     */
+    groupBy(groupBy) {
+        return this.query().groupBy(groupBy);
+    }
+
+    /**
+     * Insert a single TTableModel model object into the Table this context represents. 
+     * @example
+     * ```js
+     * // inserts the Customer, then inserts its Invoices with their CustomerId set to the Customer's new CustomerId.
+     * customerContext.hasMany(m => m.Invoices.from(invoiceContext).with("CustomerId").to("CustomerId"));
+     * const customer = await customerContext.insertOne({ FirstName: "John", Invoices: [{ Total: 1.99 }] }, { withRelations: true });
+     * ```
+     * @template {InsertOptions} [TOptions={}]
+     * @param {TTableModel} record A list of TTableModel model objects to insert into the Table.
+     * @param {TOptions=} options Options that change how the record is inserted.
+     * @returns {Promise<"mode" extends keyof TOptions ? TOptions extends { mode: "insert"|"replace" } ? TTableModel : TTableModel|undefined : TTableModel>} TTableModel model object that was inserted, or undefined if the record was skipped using the "ignore" mode.
+     * If an Auto Increment Primary Key was specified, the Insert ID will be updated.
+     */
+    async insertOne(record, options = undefined) {
+        const result = /** @type {TTableModel[]|InsertModeResult} */ (await this.insertMany([record], options));
+        if (Array.isArray(result)) {
+            return /** @type {any} */ (result[0]);
+        }
+        return /** @type {any} */ (result.inserted > 0 ? record : undefined);
+    }
+
+    /**
+     * Insert a multiple TTableModel model objects into the Table this context represents.  
+     * The records are split into as many commands as needed to stay within the "maxRowsPerInsert" and "maxBytesPerInsert" options and MySQL's limit of placeholders, 
+     * which are executed one after the other. Pass `atomic: true` into the options to execute all of them inside of one transaction.  
+     * If the "ignore" or "replace" mode is used, then the Auto Increment Primary Key is kept on the records, and the number of records that were inserted and skipped is returned.  
+     * __NOTE: MySQL does not tell which records were skipped by the "ignore" mode, so Insert IDs are only set on the records of commands that inserted every one of their records. 
+     * Records of a command that skipped any record are left without their Insert ID, and related records cannot be inserted using the "ignore" mode.__
+     * @example
+     * ```js
+     * // skip the customers that already exist.
+     * const { inserted, skipped } = await customerContext.insertMany(customers, { mode: "ignore" });
+     * ```
+     * @template {InsertOptions} [TOptions={}]
+     * @param {TTableModel[]} records A list of TTableModel model objects to insert into the Table.
+     * @param {TOptions=} options Options that change how the records are inserted.
+     * @returns {Promise<"mode" extends keyof TOptions ? TOptions extends { mode: "insert" } ? TTableModel[] : TOptions extends { mode: "ignore"|"replace" } ? InsertModeResult : TTableModel[]|InsertModeResult : TTableModel[]>} 
+     * List of the TTableModel model objects that were inserted, or the number of records that were inserted and skipped if the "ignore" or "replace" mode is used.
+     * If an Auto Increment Primary Key was specified, the Insert ID for each object will be updated appropriately.
+     */
+    async insertMany(records, options = undefined) {
+        return /** @type {any} */ (await this._insertMany(records, options ?? {}));
+    }
+
+    /**
+     * Insert a multiple TTableModel model objects into the Table this context represents. See `.insertMany()`.
+     * @private
+     * @param {TTableModel[]} records A list of TTableModel model objects to insert into the Table.
+     * @param {InsertOptions} options Options that change how the records are inserted.
+     * @returns {Promise<TTableModel[]|InsertModeResult>} List of the TTableModel model objects that were inserted, or the number of records that were inserted and skipped.
+     */
+    async _insertMany(records, options) {
+        // This is a semi-complex function, so comments are tagged above most lines of code to help any users interpret the functionality.
+        const mode = options.mode ?? "insert";
+        if (!Array.isArray(records) || records.length <= 0) return mode === "insert" ? [] : { inserted: 0, skipped: 0 };
+        if (mode === "ignore" && options.withRelations) {
+            throw Error(`Related records cannot be inserted using the "ignore" mode, since MySQL does not tell which records were skipped.`);
+        }
+        // Related records (or chunks of records) are inserted on one connection, so either all of them are inserted or none of them are.
+        if ((options.withRelations || options.atomic) && this._transaction === null) {
+            return await MySqlTableContext.transaction(this._pool, tx => tx.context(this)._insertMany(records, options));
+        }
+        const timestamps = this._getTimestamps(["createdAt", "updatedAt"]);
+        records.forEach(r => {
+            for (const key in timestamps) {
+                if (r[key] == null) {
+                    r[key] = /** @type {any} */ (timestamps[key]);
+                }
+            }
+        });
+        /** @type {TTableModel[]} */
+        let inserted = records;
+        /** @type {InsertModeResult} */
+        const counts = { inserted: 0, skipped: 0 };
+        if (mode === "insert") {
+            if(this._incKey != null) {
+                records.forEach(r => {
+                    // @ts-ignore
+                    delete r[this._incKey];
+                })
+            }
+            const columns = this._getInsertColumns(records);
+            for (const chunk of this._chunkInsert(records, columns)) {
+                const { cmd, args } = this._buildInsert(chunk, mode, columns);
+                const result = await this._insert(cmd, args);
+
+                if(this._incKey != null) {
+                    // Map "items" so their Id reflects the database.
+                    chunk.forEach((rec,n) => {
+                        //@ts-ignore
+                        rec[this._incKey] = result.insertId + n;
+                    });
+                }
+            }
+        } else {
+            const incKey = this._incKey;
+            inserted = [];
+            // Insert IDs are only consecutive when every row of the command generates one, so records that hold their own key are inserted in commands of their own.
+            const groups = incKey == null ? [records] : [records.filter(r => r[incKey] != null), records.filter(r => r[incKey] == null)];
+            for (const group of groups.filter(g => g.length > 0)) {
+                const columns = this._getInsertColumns(group);
+                for (const chunk of this._chunkInsert(group, columns)) {
+                    const { cmd, args } = this._buildInsert(chunk, mode, columns);
+                    const result = await this._insert(cmd, args);
+                    // Every record is inserted when replacing, but a record that is skipped when ignoring does not tell which record it was.
+                    const insertedRows = mode === "ignore" ? result.affectedRows : chunk.length;
+                    counts.inserted += insertedRows;
+                    counts.skipped += chunk.length - insertedRows;
+                    if (insertedRows < chunk.length) continue;
+                    if (incKey != null && chunk[0][incKey] == null) {
+                        chunk.forEach((rec, n) => {
+                            //@ts-ignore
+                            rec[incKey] = result.insertId + n;
+                        });
+                    }
+                    inserted.push(...chunk);
+                }
+            }
+        }
+        if (options.withRelations) {
+            await this._insertRelated(inserted, options);
+        }
+        return mode === "insert" ? inserted : counts;
+    }
+
+    /**
+     * Insert a single TTableModel model object into the Table this context represents, or update the existing record if the record has a PRIMARY or UNIQUE key that already exists.  
+     * __NOTE: mysql2 connects with the FOUND_ROWS flag by default, where MySQL reports an existing record that was already up to date the same as an inserted record. 
+     * To tell the two apart, pass `flags: ["-FOUND_ROWS"]` into your pool's configuration.__  
+     * If an Auto Increment Primary Key was specified, then the record is given the key of its row, whether it was inserted or updated.
+     * @example
+     * ```js
+     * const status = await customerContext.upsertOne({ CustomerId: 1, Email: "johndoe@example.com" }, ["Email"]);
+     * ```
+     * @param {TTableModel} record TTableModel model object to insert or update.
+     * @param {UpsertColumns<TTableModel>?} update Columns to overwrite if the record already exists. If not specified, then every inserted column is overwritten (except the Auto Increment Primary Key).
+     * @returns {Promise<"inserted"|"updated">} Whether the record was inserted or updated.
+     */
+    async upsertOne(record, update = null) {
+        const { inserted } = await this.upsertMany([record], update);
+        return inserted > 0 ? "inserted" : "updated";
+    }
+
+    /**
+     * Insert multiple TTableModel model objects into the Table this context represents, or update the existing records if the records have a PRIMARY or UNIQUE key that already exists.  
+     * The records are split into commands the same way as `.insertMany()`.  
+     * If an Auto Increment Primary Key was specified, then a record that was upserted using its own command is given the key of its row, whether it was inserted or updated, 
+     * and the records of a command that inserted all of them are given their Insert IDs. MySQL does not tell which records of any other command were inserted, so those keep the key they were given.
+     * @example
+     * ```js
+     * // overwrite the Email of existing customers.
+     * const { inserted, updated } = await customerContext.upsertMany(customers, ["Email"]);
+     * // add to the Total of existing invoices.
+     * const { inserted, updated } = await invoiceContext.upsertMany(invoices, { Total: "`Total` + VALUES(`Total`)" });
+     * ```
+     * @param {TTableModel[]} records A list of TTableModel model objects to insert or update.
+     * @param {UpsertColumns<TTableModel>?} update Columns to overwrite if a record already exists. If not specified, then every inserted column is overwritten (except the Auto Increment Primary Key and the createdAt timestamp).
+     * The updatedAt timestamp is always overwritten, and if "version" was passed into the options, then the version is always changed.
+     * @returns {Promise<UpsertResult>} Number of records that were inserted and number of records that were updated.
+     */
+    async upsertMany(records, update = null) {
+        if (!Array.isArray(records) || records.length <= 0) return { inserted: 0, updated: 0 };
+        const timestamps = this._getTimestamps(["createdAt", "updatedAt"]);
+        const createdAt = this._options.timestamps?.createdAt;
+        const updatedAt = this._options.timestamps?.updatedAt;
+        records.forEach(r => {
+            for (const key in timestamps) {
+                if (key === updatedAt || r[key] == null) {
+                    r[key] = /** @type {any} */ (timestamps[key]);
                 }
-                modelKey = p;
-                return undefined;
             }
         });
+        const columns = this._getInsertColumns(records);
+        const version = this._options.version;
+        const assignments = update == null 
+            ? columns.filter(col => col != this._incKey && col !== createdAt && col !== version?.column).map(col => `\`${col}\` = VALUES(\`${col}\`)`)
+            : Array.isArray(update) 
+                ? update.map(col => `\`${String(col)}\` = VALUES(\`${String(col)}\`)`)
+                : Object.keys(update).map(col => `\`${col}\` = ${update[col]}`);
+        // Existing records that are updated are always given the new updatedAt date.
+        if (updatedAt !== undefined && update != null && !(Array.isArray(update) ? update.includes(updatedAt) : String(updatedAt) in update)) {
+            assignments.push(`\`${String(updatedAt)}\` = VALUES(\`${String(updatedAt)}\`)`);
+        }
+        /** @type {any[]} */
+        const versionArgs = [];
+        if (version !== undefined && !assignments.some(a => a.startsWith(`\`${String(version.column)}\` =`))) {
+            // Existing records that are updated are given a new version, so anyone still holding their old version can not update them anymore.
+            const nextVersion = nextVersionOf(version);
+            assignments.push(`\`${String(version.column)}\` = ${nextVersion.sql}`);
+            versionArgs.push(...nextVersion.args);
+        }
+        const incKey = this._incKey;
+        if (incKey != null && !assignments.some(a => a.startsWith(`\`${String(incKey)}\` =`))) {
+            // Without changing the existing record, this makes MySQL report its Auto Increment Primary Key as the Insert ID.
+            assignments.push(`\`${String(incKey)}\` = LAST_INSERT_ID(\`${String(incKey)}\`)`);
+        }
+        if (assignments.length <= 0) {
+            // Nothing to overwrite, so the existing record is left as it is.
+            assignments.push(`\`${columns[0]}\` = \`${columns[0]}\``);
+        }
+        const total = { inserted: 0, updated: 0 };
+        for (const chunk of this._chunkInsert(records, columns)) {
+            const { cmd, args } = this._buildInsert(chunk, "insert", columns);
+            const result = await this._insert(`${cmd} ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`, [...args, ...versionArgs]);
+            const { inserted, updated } = countUpserts(result, chunk.length);
+            total.inserted += inserted;
+            total.updated += updated;
+            if (incKey == null || result.insertId <= 0) continue;
+            if (chunk.length === 1) {
+                // The Insert ID is the key of the one record, whether it was inserted or updated.
+                //@ts-ignore
+                chunk[0][incKey] = result.insertId;
+            } else if (updated <= 0 && chunk.every(rec => rec[incKey] == null)) {
+                // Every record was inserted with a generated key, so the keys are consecutive, like `.insertMany()`.
+                chunk.forEach((rec, n) => {
+                    //@ts-ignore
+                    rec[incKey] = result.insertId + n;
+                });
+            }
+        }
+        return total;
+    }
 
-        modelCallback(/** @type {AbstractModelKeysToOnCallbacks<TTableModel>} */ ($p));
+    /**
+     * Inserts the related records that are set on the given records, for every relationship that was configured on this context.  
+     * The key of each record is set on its related records before they are inserted (unless they are related through a junction table, 
+     * in which case the junction rows are inserted after them), so this must only be called after the records themselves were inserted.  
+     * If the relationship was configured with a MySqlTableContext in `.from()`, then that context inserts the related records, 
+     * so their Insert IDs and their own related records are populated as well.
+     * @private
+     * @param {TTableModel[]} records Records that were inserted.
+     * @param {InsertOptions} options Options that the records were inserted with.
+     * @returns {Promise<void>}
+     */
+    async _insertRelated(records, options) {
+        const tx = /** @type {MySqlTransaction} */ (this._transaction);
+        for (const key in this.includeConfigurations) {
+            const relationship = /** @type {Relationship<TTableModel>} */ (this.includeConfigurations[key]);
+            const thisKey = relationship.thisKey.map(String);
+            /** @type {[TTableModel, AbstractModel][]} */
+            const pairs = [];
+            for (const r of records) {
+                const related = /** @type {AbstractModel|AbstractModel[]|undefined} */ (r[key]);
+                if (related == null) continue;
+                (Array.isArray(related) ? related : [related]).forEach(rr => pairs.push([r, rr]));
+            }
+            if (pairs.length <= 0) continue;
+            if (relationship.through === undefined) {
+                pairs.forEach(([r, rr]) => relationship.thatKey.forEach((k, n) => rr[k] = r[thisKey[n]]));
+            } else if (relationship.context === undefined && pairs.some(([_, rr]) => relationship.thatKey.some(k => rr[k] == null))) {
+                // Without the context, the auto increment key of the related table is unknown, so the junction rows could not be linked to the related records.
+                throw Error(`"${key}" must be configured with a MySqlTableContext in ".from()" to insert related records whose keys are generated.`);
+            }
+            /** @type {MySqlTableContext<?>} */
+            const context = relationship.context !== undefined
+                ? tx.context(relationship.context)
+                // The related table has none of this table's columns, so it must not get this table's options (timestamps, JSON columns, version) or key either.
+                : /** @type {MySqlTableContext<?>} */ (this._derive({ 
+                    _table: relationship.name, 
+                    _incKey: null, 
+                    _primaryKey: [], 
+                    _options: { ...MySqlTableContext.DEFAULT_OPTIONS }, 
+                    _joinKey: [], 
+                    _select: null, 
+                    _deletedScope: "without", 
+                    _relevance: null, 
+                    includeConfigurations: {}, 
+                    inclusions: {}, 
+                    _includePath: [] 
+                }));
+            await context.insertMany([...new Set(pairs.map(([_, rr]) => rr))], options);
+            if (relationship.through !== undefined) {
+                await this._insertJunctionRows(relationship.through, pairs.map(([r, rr]) => [thisKey.map(k => r[k]), relationship.thatKey.map(k => rr[k])]));
+            }
+        }
+    }
 
-        let table = modelKey;
-        if (modelKey in this.includeConfigurations) {
-            table = this.includeConfigurations[modelKey].name;
+    /**
+     * Inserts rows into a junction table that link the records of this table to the records of another table.
+     * @private
+     * @param {JunctionTable} through Junction table to insert the rows into.
+     * @param {[any[], any[]][]} keys Pairs of the key values of this table's record and the key values of the other table's record to link.
+     * @returns {Promise<number>} Number of rows that were inserted into the junction table.
+     */
+    async _insertJunctionRows(through, keys) {
+        if (keys.length <= 0) return 0;
+        const columns = [...through.thisKey, ...through.thatKey];
+        // The rows are split into commands the same way as records, so they stay within the limits of one command.
+        const rows = /** @type {TTableModel[]} */ (keys.map(([thisKey, thatKey]) => {
+            const values = [...thisKey, ...thatKey];
+            return Object.fromEntries(columns.map((k, n) => [k, values[n]]));
+        }));
+        let affectedRows = 0;
+        for (const chunk of this._chunkInsert(rows, columns)) {
+            const args = chunk.flatMap(row => columns.map(k => row[k]));
+            const cmd = `INSERT INTO \`${through.name}\` (${columns.map(k => `\`${k}\``).join(', ')}) VALUES ${chunk.map(_ => `(${columns.map(_ => '?').join(',')})`).join(',')}`;
+            const result = await this._insert(cmd, args);
+            affectedRows += result.affectedRows;
         }
-        const joiningKeys = {
-            thisTable: this.includeConfigurations[modelKey].thisKey,
-            thatTable: this.includeConfigurations[modelKey].thatKey
-        };
-        let cmd = `SELECT * FROM \`${table}\` WHERE \`${table}\`.\`${joiningKeys.thatTable}\` = ?`;
-        this.inclusions[modelKey] = { cmd, key: joiningKeys.thisTable };
+        return affectedRows;
+    }
+
+    /**
+     * Gets the columns to insert for the given records, which is every column that any of the records has.
+     * @private
+     * @param {TTableModel[]} records Records to insert.
+     * @returns {string[]} Columns to insert.
+     */
+    _getInsertColumns(records) {
+        // Copy the records.
+        /** @type {(records: TTableModel[]) => TTableModel[]} */
+        const clone = (recs) => JSON.parse(JSON.stringify(recs));
+        // Get all unique keys from all of the records.
+        const allKeys = clone(records).flatMap(rec => Object.keys(rec)).filter((rec,n,self) => self.indexOf(rec) == n);
+        // Configured relationships hold related records, which are not columns of this table.
+        const keysFiltered = allKeys.filter(col => !(col in this.includeConfigurations));
+        // sort, so the keys don't get mangled to the wrong values.
+        if(this._options.sortKeys) {
+            keysFiltered.sort();
+        }
+        return keysFiltered;
+    }
+
+    /**
+     * Splits the given records into chunks that can each be inserted using one command, 
+     * where no chunk has more records than the "maxRowsPerInsert" option, more estimated bytes than the "maxBytesPerInsert" option or more placeholders than MySQL allows.  
+     * A record that is bigger than "maxBytesPerInsert" on its own is still inserted, in a chunk of its own.
+     * @private
+     * @param {TTableModel[]} records Records to insert.
+     * @param {string[]} columns Columns that are inserted.
+     * @returns {TTableModel[][]} Chunks of the records, in the same order as the records.
+     */
+    _chunkInsert(records, columns) {
+        const maxRows = Math.max(1, Math.min(this._options.maxRowsPerInsert ?? Infinity, Math.floor(MySqlTableContext.MAX_PLACEHOLDERS / Math.max(1, columns.length))));
+        const maxBytes = this._options.maxBytesPerInsert ?? Infinity;
+        /** @type {TTableModel[][]} */
+        const chunks = [[]];
+        let bytes = 0;
+        for (const rec of records) {
+            // Each record adds its values and its "(?,...?)," to the command.
+            const size = columns.reduce((total, col) => total + estimateBytes(this._serializeValue(col, rec[col])) + 2, 2);
+            const chunk = chunks[chunks.length - 1];
+            if (chunk.length > 0 && (chunk.length >= maxRows || bytes + size > maxBytes)) {
+                chunks.push([rec]);
+                bytes = size;
+            } else {
+                chunk.push(rec);
+                bytes += size;
+            }
+        }
+        return chunks;
+    }
+
+    /**
+     * Builds the INSERT command for the given records.
+     * @private
+     * @param {TTableModel[]} records Records to insert.
+     * @param {InsertOptions["mode"]} mode How records that already exist are handled.
+     * @param {string[]} columns Columns to insert.
+     * @returns {{ cmd: string, args: any[] }} Command and the arguments to pass with it.
+     */
+    _buildInsert(records, mode = "insert", columns = this._getInsertColumns(records)) {
+        // Use the keys to create our INTO (...columns) part.
+        const cols = columns.map(col => `\`${col}\``).join(', ');
+        // Create an array of (?[,...?]) strings that represent each record to insert.
+        const vals = Array.from(Array(records.length).keys()).map(_ => `(${Array.from(Array(columns.length).keys()).map(_ => '?').join(',')})`).join(',');
+        // Create an array of all of the arguments. (any records that do not have the column that was being inserted just has null get inserted EXPLICITLY)
+        const args = records.flatMap(rec => columns.map(k => k in rec ? this._serializeValue(k, rec[k]) : null));
+        
+        const verb = mode === "ignore" ? "INSERT IGNORE INTO" : mode === "replace" ? "REPLACE INTO" : "INSERT INTO";
+        return { cmd: `${verb} \`${this._table}\` (${cols}) VALUES ${vals}`, args };
+    }
+
+    /**
+     * Update many existing TTableModel model objects in the Table this context represents.  
+     * If "version" was passed into the options, then the version column is changed on every updated record. If the record also holds the version, 
+     * then only records with that version are updated, the record is given the new version, and a MySqlConcurrencyError is thrown if no record was updated.
+     * @param {Partial<Omit<Omit<TTableModel, keyof OnlyAbstractModels<TTableModel>>, keyof OnlyAbstractModelArrays<TTableModel>>>} record List of TTableModel model objects to insert into the Table.
+     * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
+     * @returns {Promise<number>} Number of affected rows.
+     */
+    async update(record, where = null) {
+        const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
+        if (Object.keys(record).length <= 0) throw Error('The record passed has no keys to represent the column(s) to update.');
+        if (where == null || _where.getArgs().length <= 0) {
+            throw Error('No WHERE clause was built, possibly resulting in all records in the table being updated.'
+                + '\n\tIf you are sure you know what you are doing, then use the "updateAll" function.');
+        }
+
+        // Serialize the value sets, removing the AUTO_INCREMENT key and the version column if they exist in the record.
+        const version = this._options.version;
+        // The updatedAt column is set after the record, so a stale date on the record does not keep it from moving forward.
+        const entries = Object.entries({ ...record, ...this._getTimestamps(["updatedAt"]) }).filter(([k, _]) => (this._incKey == null || k != this._incKey) && k !== version?.column);
+        const sets = entries.map(([k, _]) => `\`${k}\`=?`);
+        const args = entries.map(([k, v]) => this._serializeValue(k, v));
+        let clause = _where.toString();
+        const whereArgs = [..._where.getArgs()];
+        const expectedVersion = version !== undefined ? record[/** @type {keyof typeof record} */ (version.column)] : undefined;
+        /** @type {any} */
+        let newVersion = null;
+        if (version !== undefined) {
+            const nextVersion = nextVersionOf(version, expectedVersion);
+            newVersion = nextVersion.value;
+            sets.push(`\`${String(version.column)}\`=${nextVersion.sql}`);
+            args.push(...nextVersion.args);
+            // If the record holds its version, then it is only updated if it still has the version it was read with.
+            if (expectedVersion != null) {
+                clause = addCondition(clause, `\`${this._table}\`.\`${String(version.column)}\` = ?`);
+                whereArgs.push(expectedVersion);
+            }
+        }
+
+        const cmd = `UPDATE \`${this._table}\` SET ${sets.join(', ')}${clause}`;
+        const numRowsAffected = await this._update(cmd, [...args, ...whereArgs]);
+        if (expectedVersion != null) {
+            if (numRowsAffected <= 0) {
+                throw new MySqlConcurrencyError(this._table, expectedVersion);
+            }
+            record[/** @type {keyof typeof record} */ (version?.column)] = newVersion;
+        }
+        return numRowsAffected;
+    }
+
+    /**
+     * Update the existing record in the Table this context represents that has the same primary key as the given record.  
+     * Every column of the record is updated, except for the columns of the primary key and properties that hold related records.  
+     * If "version" was passed into the options and the record holds its version, then the record is given the new version once it is updated.
+     * @param {Partial<TTableModel>} record TTableModel model object that holds the primary key and the columns to update.
+     * @returns {Promise<number>} Number of affected rows.
+     */
+    async updateOne(record) {
+        const where = this._whereKey(record);
+        /** @type {Partial<TTableModel>} */
+        const columns = {};
+        for (const key in record) {
+            if (this._primaryKey.includes(key) || key in this.includeConfigurations) continue;
+            columns[key] = record[key];
+        }
+        const numRowsAffected = await this.update(columns, where);
+        const version = this._options.version;
+        if (version !== undefined && record[version.column] != null) {
+            record[version.column] = /** @type {any} */ (columns[version.column]);
+        }
+        return numRowsAffected;
+    }
+
+    /**
+     * Insert the record if it does not have a primary key yet, otherwise update the existing record that has its primary key.  
+     * If no record has its primary key (e.g., a new record whose natural or composite key was already filled in), then the record is inserted instead, 
+     * unless its primary key holds the Auto Increment Primary Key, in which case an Error is thrown, since the record would be inserted under a new Insert ID.  
+     * If the record is inserted and an Auto Increment Primary Key was specified, then the Insert ID will be set on the record.  
+     * __NOTE: This relies on mysql2 connecting with the FOUND_ROWS flag (the default), so an existing record that was already up to date is not mistaken for a missing record.__
+     * @example
+     * ```js
+     * const customer = await customerContext.save({ FirstName: "John", LastName: "Doe" }); // inserted
+     * customer.LastName = "Smith";
+     * await customerContext.save(customer); // updated
+     * ```
+     * @param {TTableModel} record TTableModel model object to insert or update.
+     * @returns {Promise<TTableModel>} The record that was saved.
+     */
+    async save(record) {
+        if (this._primaryKey.length <= 0) {
+            throw Error(`No primary key was configured for "${this._table}". Pass "primaryKey" into the options or an "autoIncrementKey" into the constructor.`);
+        }
+        if (this._primaryKey.some(key => record[key] == null)) {
+            return await this.insertOne(record);
+        }
+        if (await this.updateOne(record) <= 0) {
+            // An Auto Increment Primary Key is generated when the record is inserted, so the record would be inserted as a different record than the one it holds.
+            const incKey = this._incKey;
+            if (incKey != null && this._primaryKey.includes(incKey)) {
+                throw Error(`No record of "${this._table}" has the ${String(incKey)} ${record[incKey]}, so it could not be saved. To insert it as a new record, remove its ${String(incKey)} first.`);
+            }
+            return await this.insertOne(record);
+        }
+        return record;
+    }
+
+    /**
+     * Update all records in the Table this context represents.
+     * WARNING: This function will update all records in the table. 
+     * To avoid accidental calls to this function, an Error will be thrown warning the developer prompting them to set "allowUpdateOnAll" to true in the options.
+     * @param {Partial<Omit<Omit<TTableModel, keyof OnlyAbstractModels<TTableModel>>, keyof OnlyAbstractModelArrays<TTableModel>>>} record TTableModel model object to use to update all the records.
+     * @returns {Promise<number>} Number of affected rows.
+     */
+    async updateAll(record) {
+        if (Object.keys(record).length <= 0) throw Error('The record passed has no keys to represent the column(s) to update.');
+        if(!this._options.allowUpdateOnAll) {
+            throw Error('You are trying to update all records in the table with no filter.'
+                + '\n\tIf you are trying to update select records, see "updateMany".'
+                + '\n\tIf you know what you are doing, then pass into the "options" parameter in the constructor, "allowUpdateOnAll: true"');
+        }
+
+        // Serialize the value sets, removing the AUTO_INCREMENT key and the version column if they exist in the record.
+        const version = this._options.version;
+        // The updatedAt column is set after the record, so a stale date on the record does not keep it from moving forward.
+        const entries = Object.entries({ ...record, ...this._getTimestamps(["updatedAt"]) }).filter(([k, _]) => (this._incKey == null || k != this._incKey) && k !== version?.column);
+        const sets = entries.map(([k, _]) => `\`${k}\`=?`);
+        const args = entries.map(([k, v]) => this._serializeValue(k, v));
+        if (version !== undefined) {
+            // Every record is updated regardless of its version, but the version of every record is still changed.
+            const nextVersion = nextVersionOf(version);
+            sets.push(`\`${String(version.column)}\`=${nextVersion.sql}`);
+            args.push(...nextVersion.args);
+        }
+
+        const cmd = `UPDATE \`${this._table}\` SET ${sets.join(', ')}`;
+        const numRowsAffected = this._update(cmd, args);
+        return numRowsAffected;
+    }
+
+    /**
+     * Delete many records from the table this context represents.
+     * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
+     * @returns {Promise<number>} Number of deleted rows.
+     */
+    async delete(where = null) {
+        const softDelete = this._options.softDelete;
+        if (softDelete === undefined) {
+            return await this.forceDelete(where);
+        }
+        const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
+        if (where == null || _where.getArgs().length <= 0) {
+            throw Error('No WHERE clause was built, possibly resulting in all records in the table being deleted.'
+                + '\n\tIf you are sure you know what you are doing, then use the "truncate" function.');
+        }
+        // Records that were already soft deleted keep the date they were first deleted on.
+        const column = `\`${this._table}\`.\`${String(softDelete.column)}\``;
+        const sets = [`${column} = ?`];
+        // The date is stored the same way as the dates of the "timestamps" option.
+        /** @type {any[]} */
+        const args = [formatTimestamp(new Date(), this._options.timestamps?.timezone)];
+        const version = this._options.version;
+        if (version !== undefined) {
+            // Deleting changes the record, so anyone still holding its old version can not update it anymore.
+            const nextVersion = nextVersionOf(version);
+            sets.push(`\`${String(version.column)}\`=${nextVersion.sql}`);
+            args.push(...nextVersion.args);
+        }
+        const cmd = `UPDATE \`${this._table}\` SET ${sets.join(', ')}${addCondition(_where.toString(), `${column} IS NULL`)}`;
+        const numRowsAffected = await this._delete(cmd, [...args, ..._where.getArgs()]);
+        return numRowsAffected;
+    }
+
+    /**
+     * Delete many records from the table this context represents, even if "softDelete" was passed into the options.
+     * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
+     * @returns {Promise<number>} Number of deleted rows.
+     */
+    async forceDelete(where = null) {
+        const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
+        if (where == null || _where.getArgs().length <= 0) {
+            throw Error('No WHERE clause was built, possibly resulting in all records in the table being deleted.'
+                + '\n\tIf you are sure you know what you are doing, then use the "truncate" function.');
+        }
+        const cmd = `DELETE FROM \`${this._table}\`${_where.toString()}`;
+        const ts = await this._delete(cmd, _where.getArgs());
+        return ts;
+    }
+
+    /**
+     * Restore many soft deleted records in the table this context represents. This can only be used if "softDelete" was passed into the options.
+     * @param {WhereBuilderFunction<TTableModel>?} where Builder function to help build a WHERE clause.
+     * @returns {Promise<number>} Number of restored rows.
+     */
+    async restore(where = null) {
+        const softDelete = this._options.softDelete;
+        if (softDelete === undefined) {
+            throw Error(`Records of "${this._table}" cannot be restored, because "softDelete" was not passed into the options.`);
+        }
+        const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
+        if (where == null || _where.getArgs().length <= 0) {
+            throw Error('No WHERE clause was built, possibly resulting in all records in the table being restored.');
+        }
+        const column = `\`${this._table}\`.\`${String(softDelete.column)}\``;
+        const sets = [`${column} = NULL`];
+        /** @type {any[]} */
+        const args = [];
+        const version = this._options.version;
+        if (version !== undefined) {
+            const nextVersion = nextVersionOf(version);
+            sets.push(`\`${String(version.column)}\`=${nextVersion.sql}`);
+            args.push(...nextVersion.args);
+        }
+        const cmd = `UPDATE \`${this._table}\` SET ${sets.join(', ')}${addCondition(_where.toString(), `${column} IS NOT NULL`)}`;
+        const numRowsAffected = await this._update(cmd, [...args, ..._where.getArgs()]);
+        return numRowsAffected;
+    }
+
+    /**
+     * Creates a copy of this context whose queries also return records that were soft deleted.  
+     * This only has an effect if "softDelete" was passed into the options.
+     * @example
+     * ```js
+     * const everyCustomer = await customerContext.withDeleted().getAll();
+     * ```
+     * @returns {MySqlTableContext<TTableModel>} A copy of this context that also queries soft deleted records.
+     */
+    withDeleted() {
+        return this._derive({ _deletedScope: "with" });
+    }
+
+    /**
+     * Creates a copy of this context whose queries only return records that were soft deleted.  
+     * This only has an effect if "softDelete" was passed into the options.
+     * @example
+     * ```js
+     * const deletedCustomers = await customerContext.onlyDeleted().getAll();
+     * ```
+     * @returns {MySqlTableContext<TTableModel>} A copy of this context that only queries soft deleted records.
+     */
+    onlyDeleted() {
+        return this._derive({ _deletedScope: "only" });
+    }
+
+    /**
+     * Creates a copy of this context whose queries only select the given columns. Records can still be filtered and ordered on any column.  
+     * If a GROUP BY clause or DISTINCT columns are used, then those are selected instead.
+     * @example
+     * ```js
+     * const names = await trackContext.select(["TrackId", "Name"]).getAll(where => where.equals("AlbumId", 1));
+     * // columns can be qualified with the name of their table, which is needed for columns that share their name on joined tables.
+     * const tracks = await trackContext.join(albumContext, { key: "AlbumId" }, { key: "AlbumId" }).select(["Track.Name", "Title"]).getAll();
+     * ```
+     * @template {SelectableColumn<TTableModel>} TColumn
+     * @param {TColumn[]} columns Columns to select.
+     * @returns {SelectedContext<TTableModel, SelectedColumn<TColumn>>} A copy of this context that only selects the given columns.
+     */
+    select(columns) {
+        if (!Array.isArray(columns) || columns.length <= 0) {
+            throw Error('At least one column must be passed into ".select()".');
+        }
+        return /** @type {any} */ (this._derive({ _select: columns.map(String) }));
+    }
+
+    /**
+     * Creates a copy of this context whose queries only get the records that match a full-text search, and also select the relevance of each record to the search, as `$relevance`.  
+     * Records can then be ordered by their relevance using `order => order.by("$relevance").desc()`. The relevance is not selected if a GROUP BY clause or DISTINCT columns are used, 
+     * and it cannot be ordered by in `.getCursorPage()`.
+     * @example
+     * ```js
+     * const tracks = await trackContext.withRelevance(["Name", "Composer"], "love")
+     *     .getAll(null, null, order => order.by("$relevance").desc());
+     * ```
+     * @param {KeyByValueType<TTableModel, string|null|undefined>|KeyByValueType<TTableModel, string|null|undefined>[]} columns Column, or columns, that are searched. These must be the same columns as a FULLTEXT index.
+     * @param {string} text Text to search for.
+     * @param {MatchOptions=} options Mode of the search. (default: natural language mode)
+     * @returns {MySqlTableContext<TTableModel & RelevanceAlias>} A copy of this context that searches the records and selects the relevance of each record.
+     */
+    withRelevance(columns, text, options = {}) {
+        const match = /** @type {WhereBuilder<TTableModel>} */ (new WhereBuilder()).matches(columns, text, options);
+        return /** @type {any} */ (this._derive({ _relevance: { sql: match.toString().replace(" WHERE ", ""), args: match.getArgs() } }));
+    }
+
+    /**
+     * Gets the columns to select in a query.
+     * @protected
+     * @param {GroupBuilder} groupBy GROUP BY clause of the query, which decides the columns if it was built.
+     * @returns {string} Columns to select.
+     */
+    _getSelects(groupBy) {
+        const selects = groupBy.getSelects();
+        if (selects !== "*") return selects;
+        const relevance = this._relevance != null ? [`${this._relevance.sql} AS $relevance`] : [];
+        if (this._select === null) return ["*", ...relevance].join(',');
+        // The keys of included relationships are also selected, so the related records can be matched to the records.
+        return [...[...new Set([...this._select, ...this._getInclusionKeys()])].map(escapeColumn), ...relevance].join(',');
+    }
+
+    /**
+     * Gets the columns of this table that every included relationship is matched on.
+     * @private
+     * @returns {string[]} Distinct columns of the keys of the included relationships.
+     */
+    _getInclusionKeys() {
+        return [...new Set(Object.values(this.inclusions).flatMap(inclusion => inclusion.relationship.thisKey.map(String)))];
+    }
+
+    /**
+     * Throws if relationships were included on a query that is grouped or selects distinct columns, 
+     * since its rows are groups rather than records that related records could be included on.
+     * @protected
+     * @param {GroupBuilder<any, any>} groupBy GROUP BY clause of the query.
+     * @param {any[]?} distinct Columns that are selected distinctively, if any.
+     */
+    _validateInclusions(groupBy, distinct) {
+        if (Object.keys(this.inclusions).length > 0 && (distinct != null || groupBy.getSelects() !== "*")) {
+            throw Error('".include()" cannot be used when grouping, selecting an aggregate or selecting distinct columns, since the rows are not records to include on.');
+        }
+    }
+
+    /**
+     * Populates the given records with all of the related records that were specified using `.include()` and `.thenInclude()`, 
+     * then removes the keys of the relationships from the records if they were only selected to match the related records.
+     * @private
+     * @param {TTableModel[]} records Records to populate.
+     * @returns {Promise<void>}
+     */
+    async _includeSelected(records) {
+        await this._include(records);
+        const select = this._select;
+        if (select === null) return;
+        const keys = this._getInclusionKeys().filter(key => !select.includes(key));
+        records.forEach(r => keys.forEach(key => delete r[/** @type {keyof TTableModel} */ (key)]));
+    }
+
+    /**
+     * Gets the arguments for the placeholders in the columns to select, which come before the arguments of the WHERE clause.
+     * @protected
+     * @param {GroupBuilder} groupBy GROUP BY clause of the query, which decides the columns if it was built.
+     * @returns {any[]} Arguments of the columns to select.
+     */
+    _getSelectArgs(groupBy) {
+        return this._relevance != null && groupBy.getSelects() === "*" ? this._relevance.args : [];
+    }
+
+    /**
+     * Gets the timezone the connection pool reads dates in.
+     * @protected
+     * @returns {string} "local", "Z" or an offset (e.g., "+05:00").
+     */
+    _getPoolTimezone() {
+        return this._getConnectionConfig().timezone ?? "local";
+    }
+
+    /**
+     * Gets the configuration that the connection pool creates its connections with.
+     * @protected
+     * @returns {{[key: string]: any}} Configuration of the connections, or an empty object if it could not be found.
+     */
+    _getConnectionConfig() {
+        // the promise pool wraps the core pool, which holds the configuration.
+        const pool = /** @type {any} */ (this._pool);
+        return (pool.pool ?? pool).config?.connectionConfig ?? {};
+    }
+
+    /**
+     * Qualifies the given column with the Table this context represents, unless it is already qualified with a Table.
+     * @protected
+     * @param {string} column Column to qualify.
+     * @returns {string} The qualified column. (e.g., "Customer.CustomerId")
+     */
+    _qualifyColumn(column) {
+        return column.includes(".") ? column : `${this._table}.${column}`;
+    }
+
+    /**
+     * Gets the columns that were declared as JSON columns using the "json" option.
+     * @protected
+     * @returns {{ table: string, column: string }[]} JSON columns, along with the Table they are on.
+     */
+    _getJsonColumns() {
+        return (this._options.json ?? []).map(column => ({ table: this._table, column: String(column) }));
+    }
+
+    /**
+     * Serializes the value of a column so it can be written to the Table this context represents, which only changes the values of JSON columns.
+     * @private
+     * @param {string} column Column the value is written to.
+     * @param {any} value Value to write.
+     * @returns {any} Value to pass as an argument.
+     */
+    _serializeValue(column, value) {
+        if (value == null || !this._getJsonColumns().some(j => j.column === column)) return value;
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Parses the values of the JSON columns of the given records, if they were read as strings.  
+     * mysql2 parses the values of columns whose type is JSON already, unless "jsonStrings" is set on the pool, while columns of other types (e.g., LONGTEXT) are always read as strings.
+     * @protected
+     * @param {TTableModel[]} records Records that were read.
+     * @param {import('mysql2').FieldPacket[]=} fields Fields that mysql2 returned along with the records.
+     * @param {{ table: string, column: string }[]} json JSON columns to parse.
+     * @returns {TTableModel[]} The same records, with their JSON columns parsed.
+     */
+    _parseJsonColumns(records, fields = [], json = this._getJsonColumns()) {
+        if (json.length <= 0 || !Array.isArray(records) || !Array.isArray(fields)) return records;
+        const jsonStrings = this._getConnectionConfig().jsonStrings === true;
+        const parsed = fields.filter(f => json.some(j => j.table === f.orgTable && j.column === f.orgName) && (jsonStrings || f.type !== MySqlTableContext.JSON_TYPE));
+        for (const record of records) {
+            for (const { name } of parsed) {
+                const value = /** @type {any} */ (record)[name];
+                if (typeof(value) === "string") {
+                    /** @type {any} */ (record)[name] = JSON.parse(value);
+                }
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Gets the condition that filters the soft deleted records of this context, according to `.withDeleted()` and `.onlyDeleted()`.
+     * @protected
+     * @param {string} table Name of the table to reference the column from.
+     * @returns {string?} Condition on the "softDelete" column, or null if no records need to be filtered.
+     */
+    _deletedCondition(table = this._table) {
+        const softDelete = this._options.softDelete;
+        if (softDelete === undefined || this._deletedScope === "with") return null;
+        return `\`${table}\`.\`${String(softDelete.column)}\` ${this._deletedScope === "only" ? "IS NOT NULL" : "IS NULL"}`;
+    }
+
+    /**
+     * Adds the condition that filters the soft deleted records of this context onto a WHERE clause.
+     * @protected
+     * @param {string} clause WHERE clause that was built using a WhereBuilder.
+     * @returns {string} WHERE clause that also filters the soft deleted records.
+     */
+    _filterDeleted(clause) {
+        return addCondition(clause, this._deletedCondition());
+    }
+
+    /**
+     * Adds the conditions of this context onto a WHERE clause, which filter the soft deleted records, and the records that do not match the full-text search given to `.withRelevance()`.
+     * @protected
+     * @param {string} clause WHERE clause that was built using a WhereBuilder.
+     * @returns {string} WHERE clause that also has the conditions of this context.
+     */
+    _filter(clause) {
+        return addCondition(this._filterDeleted(clause), this._relevance?.sql ?? null);
+    }
+
+    /**
+     * Gets the arguments of a WHERE clause that the conditions of this context were added onto using `._filter()`.
+     * @protected
+     * @param {WhereBuilder<any>} where WHERE clause that was built using a WhereBuilder.
+     * @returns {any[]} Arguments of the WHERE clause, followed by the arguments of the conditions of this context.
+     */
+    _getFilterArgs(where) {
+        return [...where.getArgs(), ...(this._relevance?.args ?? [])];
+    }
+
+    /**
+     * Delete the record from the Table this context represents that has the same primary key as the given record.
+     * @param {Partial<TTableModel>} record TTableModel model object that holds the primary key.
+     * @returns {Promise<number>} Number of deleted rows.
+     */
+    async deleteOne(record) {
+        return await this.delete(this._whereKey(record));
+    }
+
+    /**
+     * Gets the current date for each of the given timestamp columns that were passed into the options.
+     * @private
+     * @param {("createdAt"|"updatedAt")[]} keys Timestamp columns to get the current date for.
+     * @returns {Partial<TTableModel>} Object holding the current date on every timestamp column that was configured.
+     */
+    _getTimestamps(keys) {
+        /** @type {any} */
+        const values = {};
+        const timestamps = this._options.timestamps;
+        if (timestamps === undefined) return values;
+        const now = formatTimestamp(new Date(), timestamps.timezone);
+        for (const key of keys) {
+            const column = timestamps[key];
+            if (column !== undefined) {
+                values[column] = now;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Builds a WHERE clause that matches the primary key of the given record.
+     * @private
+     * @param {Partial<TTableModel>} record Record that holds every column of the primary key.
+     * @returns {WhereBuilderFunction<TTableModel>} Builder function that matches the record's primary key.
+     */
+    _whereKey(record) {
+        if (this._primaryKey.length <= 0) {
+            throw Error(`No primary key was configured for "${this._table}". Pass "primaryKey" into the options or an "autoIncrementKey" into the constructor.`);
+        }
+        const missing = this._primaryKey.filter(key => record == null || record[key] == null);
+        if (missing.length > 0) {
+            throw Error(`The primary key of "${this._table}" is missing the column(s): ${missing.map(key => `"${String(key)}"`).join(', ')}.`);
+        }
+        return where => this._primaryKey.reduce((w, key) => w.equals(key, /** @type {any} */ (record[key])), where);
+    }
+
+    /**
+     * Truncate the table this context represents.
+     * WARNING: This function will delete all records in the table. 
+     * To avoid accidental calls to this function, an Error will be thrown warning the developer prompting them to set "allowTruncation" to true in the options.
+     * @returns {Promise<number>} Number of deleted rows.
+     */
+    async truncate() {
+        if (!this._options.allowTruncation) {
+            throw Error('You are trying to delete all records in the table. '
+                + '\n\tIf you are trying to delete select records, see "deleteMany". '
+                + '\n\tIf you know what you are doing, then pass into the "options" parameter in the constructor, "allowTruncation: true"');
+        }
+        const cmd = `TRUNCATE \`${this._table}\``;
+        const ts = await this._delete(cmd);
+        return ts;
+    }
+
+    /**
+     * Specifies that your next Query will also pull in the specified related Record from the database.  
+     * In order for your related record to be properly included, there needs to be a relationship configured using the `.hasOne`, `.hasMany` or `.hasManyThrough` function.  
+     * The related record is included in every query of this context from then on.  
+     * __NOTE: Limiting the number of related records requires MySQL 8.0 or higher.__
+     * @example
+     * ```js
+     * fooContext.hasOne(m => m.Bar.with("FooId").to("BarId"));
+     * const myFoos = await fooContext.include(m => m.Bar).getAll();
+     * // include the 5 most recent Bazs for each Foo that are not archived.
+     * fooContext.hasMany(m => m.Bazs.with("FooId").to("FooId"));
+     * const myFoos = await fooContext.include(m => m.Bazs, where => where.equals("Archived", 0), order => order.by("DateCreated").desc(), 5).getAll();
+     * // include the Bazs whose Version is greater than the Foo's MinimumVersion, instead of the configured keys.
+     * const myFoos = await fooContext.include(m => m.Bazs.on("MinimumVersion", "Version").beingLessThan()).getAll();
+     * ```
+     * @template TIncluded
+     * @param {IncludeCallback<TTableModel, TIncluded>} modelCallback Callback that contains a proxy of your Model. Reference the key you'd like to include in your next query.
+     * @param {WhereBuilderFunction<IncludedModel<TIncluded>>?} where Builder function to help build a WHERE clause to filter the related records.
+     * @param {OrderByBuilderFunction<IncludedModel<TIncluded>>?} orderBy Builder function to help build an ORDER BY clause to order the related records.
+     * @param {number?} limit Maximum number of related records to include for each record.
+     * @returns {ThenIncludableContext<TTableModel, IncludedModel<TIncluded>>} This context, which will include the related record in its queries.
+     */
+    include(modelCallback, where = null, orderBy = null, limit = null) {
+        const [modelKey, inclusion] = this._createInclusion(modelCallback, where, orderBy, limit);
+        // Assigned instead of mutated, so contexts that this context was derived from are left untouched.
+        this.inclusions = { ...this.inclusions, [modelKey]: inclusion };
+        this._includePath = [modelKey];
+        return /** @type {any} */ (this);
+    }
+
+    /**
+     * Specifies that your next Query will also pull in the specified related Record of the last record that was included using `.include()` or `.thenInclude()`.  
+     * In order for the related record to be properly included, the last included relationship must have been configured using a MySqlTableContext in `.from()`, 
+     * and that context must have a relationship configured using the `.hasOne`, `.hasMany` or `.hasManyThrough` function.
+     * @example
+     * ```js
+     * barContext.hasMany(m => m.Bazs.with("BarId").to("BarId"));
+     * fooContext.hasOne(m => m.Bar.from(barContext).with("FooId").to("BarId"));
+     * const myFoos = await fooContext.include(m => m.Bar).thenInclude(m => m.Bazs).getAll();
+     * ```
+     * @param {IncludeCallback<AbstractModel>} modelCallback Callback that contains a proxy of the last included Model. Reference the key you'd like to include in your next query.
+     * @param {WhereBuilderFunction<AbstractModel>?} where Builder function to help build a WHERE clause to filter the related records.
+     * @param {OrderByBuilderFunction<AbstractModel>?} orderBy Builder function to help build an ORDER BY clause to order the related records.
+     * @param {number?} limit Maximum number of related records to include for each record.
+     * @returns {MySqlTableContext<TTableModel>} This context, which will include the related record in its queries.
+     */
+    thenInclude(modelCallback, where = null, orderBy = null, limit = null) {
+        if (this._includePath.length <= 0) {
+            throw Error('".thenInclude()" can only be used after ".include()" or ".thenInclude()".');
+        }
+        // Copy every inclusion along the path, so contexts that this context was derived from are left untouched.
+        const inclusions = { ...this.inclusions };
+        let current = inclusions;
+        /** @type {Inclusion=} */
+        let last;
+        for (const key of this._includePath) {
+            last = { ...current[key], inclusions: { ...current[key].inclusions } };
+            current[key] = last;
+            current = last.inclusions;
+        }
+        const context = last?.relationship.context;
+        if (context === undefined) {
+            throw Error(`"${this._includePath[this._includePath.length - 1]}" must be configured with a MySqlTableContext in ".from()" to use ".thenInclude()" on it.`);
+        }
+        const [modelKey, inclusion] = createInclusion(context.includeConfigurations, context._table, modelCallback, where, orderBy, limit);
+        current[modelKey] = inclusion;
+        this.inclusions = inclusions;
+        this._includePath = [...this._includePath, modelKey];
         return this;
     }
 
+    /**
+     * Creates the Inclusion of a relationship that was configured on this context.
+     * @protected
+     * @param {IncludeCallback<?, ?>} modelCallback Callback that references the property to include.
+     * @param {WhereBuilderFunction<?>?} where Builder function to help build a WHERE clause to filter the related records.
+     * @param {OrderByBuilderFunction<?>?} orderBy Builder function to help build an ORDER BY clause to order the related records.
+     * @param {number?} limit Maximum number of related records to include for each record.
+     * @returns {[string, Inclusion]} Key of the property that was referenced and the Inclusion to include on that key.
+     */
+    _createInclusion(modelCallback, where, orderBy, limit) {
+        return createInclusion(this.includeConfigurations, this._table, modelCallback, where, orderBy, limit);
+    }
+
+    /**
+     * Populates the given records with all of the related records that were specified using `.include()` and `.thenInclude()`.  
+     * Each relationship is fetched with one query for all of the records (split into chunks of keys for very large sets), 
+     * then the related records are stitched back onto their respective record.
+     * @protected
+     * @param {AbstractModel[]} records Records that were queried.
+     * @param {{[key: string]: Inclusion}} inclusions Relationships to include on the records.
+     * @returns {Promise<void>}
+     */
+    async _include(records, inclusions = this.inclusions) {
+        if (records.length <= 0) return;
+        for (const key in inclusions) {
+            const inclusion = inclusions[key];
+            const { thatKey, type } = inclusion.relationship;
+            const thisKey = inclusion.relationship.thisKey.map(String);
+            /** @type {(r: AbstractModel) => any[]?} */
+            const keyOf = (r) => {
+                const values = thisKey.map(k => r[k]);
+                return values.some(v => v == null) ? null : values;
+            };
+            // Distinct keys of the records, where records that are missing a column of the key have nothing to include.
+            /** @type {Map<string, any[]>} */
+            const distinctKeys = new Map();
+            for (const r of records) {
+                const k = keyOf(r);
+                if (k !== null) {
+                    distinctKeys.set(serializeKey(k), k);
+                }
+            }
+            const keys = [...distinctKeys.values()];
+            // The other table's context knows its "softDelete" column, otherwise the column must have been passed into `.from()`.
+            const { context, softDelete, name } = inclusion.relationship;
+            const deleted = context !== undefined 
+                ? context._deletedCondition(name) 
+                : softDelete !== undefined ? `\`${name}\`.\`${softDelete.column}\` IS NULL` : null;
+
+            /** @type {Map<string, AbstractModel[]>} */
+            const relatedByKey = new Map();
+            for (let i = 0; i < keys.length; i += MySqlTableContext.INCLUDE_CHUNK_SIZE) {
+                const { cmd, args } = buildInclusionQuery(inclusion, keys.slice(i, i + MySqlTableContext.INCLUDE_CHUNK_SIZE), deleted);
+                // The related records are parsed using the JSON columns of the other table's context, which are only known if it was passed into `.from()`.
+                const related = /** @type {AbstractModel[]} */ (await this._query(cmd, args, context !== undefined ? context._getJsonColumns() : this._getJsonColumns()));
+                await this._include(related, inclusion.inclusions);
+                for (const r of related) {
+                    // Related records that were not matched on equality, or were matched through a junction table, are tagged with the key of the record they belong to.
+                    const isTagged = inclusion.operator !== "=" || inclusion.relationship.through !== undefined;
+                    const k = serializeKey(isTagged ? thisKey.map((_, n) => r[`$parentKey${n}`]) : thatKey.map(k => r[k]));
+                    thisKey.forEach((_, n) => delete r[`$parentKey${n}`]);
+                    delete r.$row;
+                    if (!relatedByKey.has(k)) {
+                        relatedByKey.set(k, []);
+                    }
+                    relatedByKey.get(k)?.push(r);
+                }
+            }
+
+            for (const r of records) {
+                const k = keyOf(r);
+                const related = k !== null ? relatedByKey.get(serializeKey(k)) ?? [] : [];
+                //@ts-ignore
+                r[key] = type === "1:1" ? related[0] : related;
+            }
+        }
+    }
+
     /**
      * Joins this table with another table to yield only matching results of this table and the other table.
      * As of right now, you can only join on one condition.
@@ -873,38 +2337,167 @@ export class MySqlJoinContext extends MySqlTableContext {
 
         if (!("key" in leftData)) throw Error('You must provide a property for "key" pertaining to the key you want to join the tables on. (if the column you want to use is on a different table, then specify "name")');
         if (!("key" in rightData)) throw Error('You must provide a property for "key" pertaining to the key you want to join the tables on. (if the column you want to use is on a different table, then specify "name")');
+        const { thisKey: leftKey, thatKey: rightKey } = pairKeys(leftData.key, rightData.key);
+        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+        leftTable._joinKey = leftKey, rightTable._joinKey = rightKey;
+
+        super(pool, "");
+        this.joinType = joinType;
+        if (leftTable instanceof MySqlJoinContext) {
+            this.tables = [...leftTable.tables];
+        } else {
+            this.tables = [...this.tables, leftTable];
+        }
+        this.tables = [...this.tables, rightTable];
+
+        let joinPart = "";
+        for (let i = 0; i < this.tables.length - 1; ++i) {
+
+            const left = this.tables[i];
+            const right = this.tables[i+1];
+            // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+            const leftName = left._table, rightName = right._table, leftJKey = left._joinKey, rightJKey = right._joinKey;
+            if (i == 0) joinPart += `\`${leftName}\``;
+            const on = leftJKey.map((k, n) => `\`${leftData.name ?? leftName}\`.\`${String(k)}\` = \`${rightData.name ?? rightName}\`.\`${String(rightJKey[n])}\``);
+            // Soft deleted records of the joining table are filtered when joining, so outer joins still yield the records that have no (undeleted) match.
+            // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+            const deleted = right._deletedCondition();
+            if (deleted !== null) on.push(deleted);
+            joinPart += ` ${left instanceof MySqlJoinContext ? left.joinType : this.joinType} JOIN \`${rightName}\` ON ${on.join(' AND ')}`;
+        }
+        this.joinStatement = joinPart;
+        this.columns = this.tables.flatMap(t => {
+            // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+            const tName = t._table;
+            return [`\`${tName}\`.*`];
+        });
+
+        // Set the table name appropriately so the event listener has an appropriate name.
+        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+        this._table = this.tables.map(t => t._table).join('-join-');
+    }
+
+    /**
+     * Creates the Inclusion of a relationship that was configured on any of the joined tables. 
+     * If more than one of the joined tables configured the relationship, then the relationship of the first table is used.
+     * @override
+     * @protected
+     * @param {IncludeCallback<?, ?>} modelCallback Callback that references the property to include.
+     * @param {WhereBuilderFunction<?>?} where Builder function to help build a WHERE clause to filter the related records.
+     * @param {OrderByBuilderFunction<?>?} orderBy Builder function to help build an ORDER BY clause to order the related records.
+     * @param {number?} limit Maximum number of related records to include for each record.
+     * @returns {[string, Inclusion]} Key of the property that was referenced and the Inclusion to include on that key.
+     */
+    _createInclusion(modelCallback, where, orderBy, limit) {
+        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+        const includeConfigurations = this.tables.reduceRight((configs, t) => ({ ...configs, ...t.includeConfigurations }), {});
+        const [modelKey, inclusion] = createInclusion(includeConfigurations, this._table, modelCallback, where, orderBy, limit);
+        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+        const tableName = this.tables.filter(t => t.includeConfigurations[modelKey] !== undefined)[0]._table;
+        const thisKey = inclusion.relationship.thisKey.map(String);
+        // Joined tables can share column names, so the key is selected from the table the relationship was configured on under an alias.
+        /** @type {string[]} */
+        const aliases = thisKey.map(k => `__${tableName}_${k}__`);
+        return [modelKey, {
+            ...inclusion,
+            relationship: { ...inclusion.relationship, thisKey: aliases },
+            select: thisKey.map(k => `\`${tableName}\`.\`${k}\``)
+        }];
+    }
+
+    /**
+     * Gets the columns that were declared as JSON columns on every joined table.
+     * @override
+     * @protected
+     * @returns {{ table: string, column: string }[]} JSON columns, along with the Table they are on.
+     */
+    _getJsonColumns() {
+        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+        return this.tables.flatMap(table => table._getJsonColumns());
+    }
+
+    /**
+     * Qualifies the given column with the joined table that has it in its primary key, unless it is already qualified with a Table. 
+     * Any other column is left as it is, since the columns of the joined tables are unknown.
+     * @override
+     * @protected
+     * @param {string} column Column to qualify.
+     * @returns {string} The qualified column.
+     */
+    _qualifyColumn(column) {
+        if (column.includes(".")) return column;
+        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+        const table = this.tables.find(t => t._primaryKey.map(String).includes(column));
+        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
+        return table !== undefined ? table._qualifyColumn(column) : column;
+    }
+
+    /**
+     * Gets the columns to select in a query, on top of the keys of the included relationships.
+     * @override
+     * @protected
+     * @param {GroupBuilder} groupBy GROUP BY clause of the query, which decides the columns if it was built.
+     * @returns {string} Columns to select.
+     */
+    _getSelects(groupBy) {
+        const selects = groupBy.getSelects();
+        if (selects !== "*") return selects;
+        const relevance = this._relevance != null ? [`${this._relevance.sql} AS $relevance`] : [];
+        return [...(this._select?.map(escapeColumn) ?? this.columns), ...this._getInclusionColumns(), ...relevance].join(',');
+    }
+
+    /**
+     * Adds the condition that filters the soft deleted records of the first joined table onto a WHERE clause. 
+     * The soft deleted records of the other joined tables are filtered in their ON clause.
+     * @override
+     * @protected
+     * @param {string} clause WHERE clause that was built using a WhereBuilder.
+     * @returns {string} WHERE clause that also filters the soft deleted records.
+     */
+    _filterDeleted(clause) {
         // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
-        leftTable._joinKey = leftData.key, rightTable._joinKey = rightData.key;
-
-        super(pool, "");
-        this.joinType = joinType;
-        if (leftTable instanceof MySqlJoinContext) {
-            this.tables = [...leftTable.tables];
-        } else {
-            this.tables = [...this.tables, leftTable];
-        }
-        this.tables = [...this.tables, rightTable];
+        return addCondition(clause, this.tables[0]._deletedCondition());
+    }
 
-        let joinPart = "";
-        for (let i = 0; i < this.tables.length - 1; ++i) {
+    /**
+     * Gets the columns to select on top of the joined columns, so the included relationships can be matched on the keys of the tables they were configured on.
+     * @private
+     * @returns {string[]} Aliased columns of the keys of every included relationship.
+     */
+    _getInclusionColumns() {
+        const columns = Object.values(this.inclusions)
+            .flatMap(inclusion => (inclusion.select ?? []).map((c, n) => `${c} AS \`${String(inclusion.relationship.thisKey[n])}\``));
+        return [...new Set(columns)];
+    }
 
-            const left = this.tables[i];
-            const right = this.tables[i+1];
-            // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
-            const leftName = left._table, rightName = right._table, leftJKey = left._joinKey, rightJKey = right._joinKey;
-            if (i == 0) joinPart += `\`${leftName}\``;
-            joinPart += ` ${left instanceof MySqlJoinContext ? left.joinType : this.joinType} JOIN \`${rightName}\` ON \`${leftData.name ?? leftName}\`.\`${String(leftJKey)}\` = \`${rightData.name ?? rightName}\`.\`${String(rightJKey)}\``;
+    /**
+     * Populates the given records with the included relationships, then removes the aliased keys that were selected to include them.
+     * @private
+     * @param {AbstractModel[]} records Records that were queried.
+     * @returns {Promise<void>}
+     */
+    async _includeJoined(records) {
+        await this._include(records);
+        for (const key in this.inclusions) {
+            const aliases = this.inclusions[key].relationship.thisKey.map(String);
+            records.forEach(r => aliases.forEach(alias => delete r[alias]));
         }
-        this.joinStatement = joinPart;
-        this.columns = this.tables.flatMap(t => {
-            // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
-            const tName = t._table;
-            return [`\`${tName}\`.*`];
-        });
+    }
 
-        // Set the table name appropriately so the event listener has an appropriate name.
-        // @ts-ignore Ignoring as we need access to the tables protected variables that were passed in. (in other languages, this is allowed.)
-        this._table = this.tables.map(t => t._table).join('-join-');
+    /**
+     * Streams the records from the joined tables, so they can be iterated over without holding every record in memory.  
+     * Records are read from the database as they are iterated over, and included relationships are fetched for each batch of records.
+     * @override
+     * @param {WhereBuilderFunction<TJoinedModel>?} where Builder function to help build a WHERE clause.
+     * @param {OrderByBuilderFunction<TJoinedModel>?} orderBy Builder function to help build an ORDER BY clause.
+     * @param {number} batchSize Number of records that are buffered, and that included relationships are fetched for at once. (default: 1000)
+     * @returns {AsyncGenerator<TJoinedModel, void, undefined>} Records of the joined tables, in the order they are read.
+     */
+    async *stream(where = null, orderBy = null, batchSize = 1000) {
+        const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
+        const _orderBy = orderBy != null ? orderBy(new OrderBuilder()) : new OrderBuilder();
+        const cmd = `SELECT ${this._getSelects(new GroupBuilder())} FROM ${this.joinStatement}${this._filter(_where.toString())}${_orderBy.toString()}`;
+        yield* this._stream(cmd, [...this._getSelectArgs(new GroupBuilder()), ...this._getFilterArgs(_where)], batchSize, records => this._includeJoined(records));
     }
 
     /**
@@ -915,57 +2508,67 @@ export class MySqlJoinContext extends MySqlTableContext {
      */
     async count(where = null, distinct = null) {
         const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
-        let cmd = `SELECT ${distinct != null ? `COUNT(DISTINCT ${distinct.join(',')}) AS count` : "COUNT(*) AS $count"} FROM ${this.joinStatement}${_where.toString()}`;
-        const ts = await this._query(cmd, _where.getArgs());
+        let cmd = `SELECT ${distinct != null ? `COUNT(DISTINCT ${distinct.join(',')}) AS $count` : "COUNT(*) AS $count"} FROM ${this.joinStatement}${this._filter(_where.toString())}`;
+        const ts = await this._query(cmd, this._getFilterArgs(_where));
         return ts[0]["$count"];
     }
 
     /**
      * Get a specific quantity of records from the Table this context represents.
      * @override
+     * @template {{[alias: string]: any}} [TAliases=Ungrouped] Aliases of the aggregates that are selected for each group.
+     * @template {(keyof (TJoinedModel & GroupByAliases & AliasesOf<TAliases>))[]?} [TDistinct=null] Columns that are selected distinctively.
      * @param {number|string} limit Number of records to grab.
      * @param {number|string} offset Number specified to offset from the beginning.
      * @param {WhereBuilderFunction<TJoinedModel>?} where Builder function to help build a WHERE clause.
-     * @param {GroupByBuilderFunction<TJoinedModel>?} groupBy Builder function to help build a GROUP BY clause.
-     * @param {OrderByBuilderFunction<(TJoinedModel & GroupByAliases)>?} orderBy Builder function to help build an ORDER BY clause.
-     * @param {(keyof (TJoinedModel & GroupByAliases))[]?} distinct List of column names under this TableContext to select distinctively off of.
-     * @returns {Promise<(TJoinedModel & GroupByAliases)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added.
+     * @param {GroupByBuilderFunction<TJoinedModel, TAliases>?} groupBy Builder function to help build a GROUP BY clause.
+     * @param {OrderByBuilderFunction<(TJoinedModel & GroupByAliases & AliasesOf<TAliases>)>?} orderBy Builder function to help build an ORDER BY clause.
+     * @param {TDistinct?} distinct List of column names under this TableContext to select distinctively off of.
+     * @returns {Promise<(QueriedModel<TJoinedModel, TAliases, TDistinct> & GroupByAliases & AliasesOf<TAliases>)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added. The `$relevance` of `.withRelevance()` is not selected if a GROUP BY clause or DISTINCT columns are used.
      */
     async get(limit, offset = 0, where = null, groupBy = null, orderBy = null, distinct = null) {
         const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
         const _orderBy = orderBy != null ? orderBy(new OrderBuilder()) : new OrderBuilder();
         const _groupBy = groupBy != null ? groupBy(new GroupBuilder()) : new GroupBuilder();
-        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : _groupBy.getSelects() == "*" ? this.columns.join(',') : _groupBy.getSelects()} `
-            + `FROM ${this.joinStatement}${_where.toString()}${_orderBy.toString()}${_groupBy.toString()} `
+        _groupBy.validateFill(limit > 0 || offset > 0, _orderBy.toString() !== "");
+        this._validateInclusions(_groupBy, distinct);
+        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : this._getSelects(_groupBy)} `
+            + `FROM ${this.joinStatement}${this._filter(_where.toString())}${_groupBy.toString()}${_orderBy.toString()} `
             + `${limit > 0 ? "LIMIT " + limit : ""} `
             + `${offset > 0 ? "OFFSET " + offset : ""}`;
-        const ts = await this._query(cmd, _where.getArgs());
-        return ts;
+        const ts = await this._query(cmd, [...(distinct == null ? this._getSelectArgs(_groupBy) : []), ...this._getFilterArgs(_where), ..._groupBy.getArgs()]);
+        await this._includeJoined(ts);
+        return /** @type {any} */ (_groupBy.fillGaps(ts, this._getPoolTimezone()));
     }
 
     /**
      * Get a specific quantity of records from the Table this context represents.
      * @override
+     * @template {{[alias: string]: any}} [TAliases=Ungrouped] Aliases of the aggregates that are selected for each group.
+     * @template {(keyof (TJoinedModel & GroupByAliases & AliasesOf<TAliases>))[]?} [TDistinct=null] Columns that are selected distinctively.
      * @param {WhereBuilderFunction<TJoinedModel>?} where Builder function to help build a WHERE clause.
-     * @param {GroupByBuilderFunction<TJoinedModel>?} groupBy Builder function to help build a GROUP BY clause.
-     * @param {OrderByBuilderFunction<(TJoinedModel & GroupByAliases)>?} orderBy Builder function to help build an ORDER BY clause.
-     * @param {(keyof (TJoinedModel & GroupByAliases))[]?} distinct List of column names under this TableContext to select distinctively off of.
-     * @returns {Promise<(TJoinedModel & GroupByAliases)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added.
+     * @param {GroupByBuilderFunction<TJoinedModel, TAliases>?} groupBy Builder function to help build a GROUP BY clause.
+     * @param {OrderByBuilderFunction<(TJoinedModel & GroupByAliases & AliasesOf<TAliases>)>?} orderBy Builder function to help build an ORDER BY clause.
+     * @param {TDistinct?} distinct List of column names under this TableContext to select distinctively off of.
+     * @returns {Promise<(QueriedModel<TJoinedModel, TAliases, TDistinct> & GroupByAliases & AliasesOf<TAliases>)[]>} A list of TTableModel models. If a GROUP BY clause was built, then some extra aliases are added. The `$relevance` of `.withRelevance()` is not selected if a GROUP BY clause or DISTINCT columns are used.
      */
     async getAll(where = null, groupBy = null, orderBy = null, distinct = null) {
         const _where = where != null ? where(new WhereBuilder()) : new WhereBuilder();
         const _orderBy = orderBy != null ? orderBy(new OrderBuilder()) : new OrderBuilder();
         const _groupBy = groupBy != null ? groupBy(new GroupBuilder()) : new GroupBuilder();
-        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : _groupBy.getSelects() == "*" ? this.columns.join(',') : _groupBy.getSelects()} `
-            + `FROM ${this.joinStatement}${_where.toString()}${_groupBy.toString()}${_orderBy.toString()} `;
-        const ts = await this._query(cmd, _where.getArgs());
-        return ts;
+        _groupBy.validateFill(false, _orderBy.toString() !== "");
+        this._validateInclusions(_groupBy, distinct);
+        let cmd = `SELECT ${distinct != null ? `DISTINCT ${distinct.join(',')}` : this._getSelects(_groupBy)} `
+            + `FROM ${this.joinStatement}${this._filter(_where.toString())}${_groupBy.toString()}${_orderBy.toString()} `;
+        const ts = await this._query(cmd, [...(distinct == null ? this._getSelectArgs(_groupBy) : []), ...this._getFilterArgs(_where), ..._groupBy.getArgs()]);
+        await this._includeJoined(ts);
+        return /** @type {any} */ (_groupBy.fillGaps(ts, this._getPoolTimezone()));
     }
 
     /**
      * Cannot be used on joined tables.
      * @param {any} record 
-     * @returns {Promise<TJoinedModel>}
+     * @returns {Promise<any>}
      */
     async insertOne(record) {
         throw Error('Cannot insert on joined tables.');
@@ -974,12 +2577,32 @@ export class MySqlJoinContext extends MySqlTableContext {
     /**
      * Cannot be used on joined tables.
      * @param {any[]} records
-     * @returns {Promise<TJoinedModel[]>}
+     * @returns {Promise<any>}
      */
     async insertMany(records) {
         throw Error('Cannot insert on joined tables.');
     }
 
+    /**
+     * Cannot be used on joined tables.
+     * @param {any} record
+     * @param {any} update
+     * @returns {Promise<"inserted"|"updated">}
+     */
+    async upsertOne(record, update = null) {
+        throw Error('Cannot upsert on joined tables.');
+    }
+
+    /**
+     * Cannot be used on joined tables.
+     * @param {any[]} records
+     * @param {any} update
+     * @returns {Promise<UpsertResult>}
+     */
+    async upsertMany(records, update = null) {
+        throw Error('Cannot upsert on joined tables.');
+    }
+
     /**
      * Cannot be used on joined tables.
      * @param {any} record
@@ -1007,6 +2630,40 @@ export class MySqlJoinContext extends MySqlTableContext {
         throw Error('Cannot delete on joined tables.')
     }
 
+    /**
+     * Cannot be used on joined tables.
+     * @param {any} where
+     * @returns {Promise<number>}
+     */
+    async forceDelete(where = null) {
+        throw Error('Cannot delete on joined tables.')
+    }
+
+    /**
+     * Cannot be used on joined tables.
+     * @param {any} where
+     * @returns {Promise<number>}
+     */
+    async restore(where = null) {
+        throw Error('Cannot restore on joined tables.')
+    }
+
+    /**
+     * Cannot be used on joined tables. Use `.withDeleted()` on the contexts before joining them instead.
+     * @returns {MySqlTableContext<TJoinedModel>}
+     */
+    withDeleted() {
+        throw Error('Cannot change which deleted records are queried on joined tables. Use ".withDeleted()" on the tables before joining them instead.');
+    }
+
+    /**
+     * Cannot be used on joined tables. Use `.onlyDeleted()` on the contexts before joining them instead.
+     * @returns {MySqlTableContext<TJoinedModel>}
+     */
+    onlyDeleted() {
+        throw Error('Cannot change which deleted records are queried on joined tables. Use ".onlyDeleted()" on the tables before joining them instead.');
+    }
+
     /**
      * Cannot be used on joined tables.
      * @returns {Promise<number>}
@@ -1014,4 +2671,599 @@ export class MySqlJoinContext extends MySqlTableContext {
     async truncate() {
         throw Error('Cannot truncate on joined tables.');
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Error that is thrown when a record could not be updated, because it no longer has the version it was read with.  
+ * This happens when the record was updated (or deleted) by someone else after it was read.
+ */
+export class MySqlConcurrencyError extends Error {
+    /** @type {string} Name of the table the record belongs to. */ table;
+    /** @type {any} Version the record was expected to have. */ expectedVersion;
+
+    /**
+     * Creates a new MySqlConcurrencyError.
+     * @param {string} table Name of the table the record belongs to.
+     * @param {any} expectedVersion Version the record was expected to have.
+     */
+    constructor(table, expectedVersion) {
+        super(`The record of "${table}" with version ${expectedVersion instanceof Date ? expectedVersion.toISOString() : expectedVersion} was changed or deleted after it was read.`);
+        this.name = "MySqlConcurrencyError";
+        this.table = table;
+        this.expectedVersion = expectedVersion;
+    }
+}
+
+/**
+ * Immutable query on a MySqlTableContext, which is built by chaining its functions. Every function returns a new query and leaves the query it was called on untouched, 
+ * so a partially built query can be passed around, reused and extended, then executed using `.toArray()`, `.first()`, `.single()` or `.count()`.  
+ * To create a query, use `.query()`, `.where()`, `.orderBy()` or `.groupBy()` on a MySqlTableContext.
+ * @example
+ * ```js
+ * const unpaid = invoiceContext.where(where => where.equals("Paid", 0));
+ * const page = await unpaid.orderBy(order => order.by("InvoiceDate").desc()).skip(20).take(10).toArray();
+ * const total = await unpaid.count();
+ * ```
+ * @template {AbstractModel} TTableModel Model that represents the Table being queried.
+ * @template {{[alias: string]: any}} [TAliases={}] Aliases of the aggregates that are selected for each group.
+ * @template {AbstractModel} [TRecord=TTableModel] Model of the records this query returns, which only holds the selected columns if the context was returned from `.select()`.
+ */
+export class MySqlQuery {
+    /** Largest number of records MySQL can return, which is used to skip records without taking a specific number of records. */
+    static MAX_LIMIT = "18446744073709551615";
+
+    /** @private @type {MySqlTableContext<TTableModel>} */ _context;
+    /** @private @type {WhereBuilderFunction<TTableModel>[]} */ _wheres = [];
+    /** @private @type {OrderByBuilderFunction<(TTableModel & GroupByAliases & TAliases)>?} */ _orderBy = null;
+    /** @private @type {GroupByBuilderFunction<TTableModel, TAliases>?} */ _groupBy = null;
+    /** @private @type {(keyof (TTableModel & GroupByAliases & TAliases))[]?} */ _distinct = null;
+    /** @private @type {number} */ _skip = 0;
+    /** @private @type {number?} */ _take = null;
+
+    /**
+     * Creates a new query that queries every record of the given context. To create a query, use `.query()` on a MySqlTableContext instead.
+     * @param {MySqlTableContext<TTableModel>} context Context to query.
+     */
+    constructor(context) {
+        this._context = context;
+    }
+
+    /**
+     * Filters the records of this query using the given WHERE clause. If this query was already filtered, then the records must match both WHERE clauses.
+     * @param {WhereBuilderFunction<TTableModel>} where Builder function to help build a WHERE clause.
+     * @returns {MySqlQuery<TTableModel, TAliases, TRecord>} A new query that is filtered.
+     */
+    where(where) {
+        return this._with({ _wheres: [...this._wheres, where] });
+    }
+
+    /**
+     * Orders the records of this query using the given ORDER BY clause, replacing any ORDER BY clause this query already had.
+     * @param {OrderByBuilderFunction<(TTableModel & GroupByAliases & TAliases)>} orderBy Builder function to help build an ORDER BY clause.
+     * @returns {MySqlQuery<TTableModel, TAliases, TRecord>} A new query that is ordered.
+     */
+    orderBy(orderBy) {
+        return this._with({ _orderBy: orderBy });
+    }
+
+    /**
+     * Groups the records of this query using the given GROUP BY clause, replacing any GROUP BY clause this query already had.
+     * @template {{[alias: string]: any}} [TNewAliases={}] Aliases of the aggregates that are selected for each group.
+     * @param {GroupByBuilderFunction<TTableModel, TNewAliases>} groupBy Builder function to help build a GROUP BY clause.
+     * @returns {MySqlQuery<WithoutRelevance<TTableModel>, TNewAliases>} A new query that is grouped, which no longer selects the `$relevance` of `.withRelevance()`.
+     */
+    groupBy(groupBy) {
+        return /** @type {any} */ (this._with({ _groupBy: groupBy }));
+    }
+
+    /**
+     * Selects the given columns of the records of this query distinctively, replacing any columns this query already selected distinctively.
+     * @param {(keyof (TTableModel & GroupByAliases & TAliases))[]} columns List of column names to select distinctively off of.
+     * @returns {MySqlQuery<WithoutRelevance<TTableModel>, TAliases>} A new query that selects distinctively, which no longer selects the `$relevance` of `.withRelevance()`.
+     */
+    distinct(columns) {
+        return /** @type {any} */ (this._with({ _distinct: columns }));
+    }
+
+    /**
+     * Skips the given number of records, replacing any number of records this query already skipped.
+     * @param {number} count Number of records to skip.
+     * @returns {MySqlQuery<TTableModel, TAliases, TRecord>} A new query that skips the records.
+     */
+    skip(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw Error(`The number of records to skip must be a whole number, but ${count} was given.`);
+        }
+        return this._with({ _skip: count });
+    }
+
+    /**
+     * Takes at most the given number of records, replacing any number of records this query already took.
+     * @param {number} count Maximum number of records to take.
+     * @returns {MySqlQuery<TTableModel, TAliases, TRecord>} A new query that takes the records.
+     */
+    take(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw Error(`The number of records to take must be a whole number, but ${count} was given.`);
+        }
+        return this._with({ _take: count });
+    }
+
+    /**
+     * Executes this query.
+     * @returns {Promise<(TRecord & GroupByAliases & TAliases)[]>} The records of this query. If a GROUP BY clause was built, then some extra aliases are added.
+     */
+    async toArray() {
+        if (this._take === 0) return [];
+        // MySQL can only skip records if it is told how many records to take.
+        const limit = this._take ?? (this._skip > 0 ? MySqlQuery.MAX_LIMIT : 0);
+        // The model of this query already has no relevance if it was grouped or selected distinctively.
+        return await /** @type {any} */ (this._context).get(limit, this._skip, this._buildWhere(), this._groupBy, this._orderBy, this._distinct);
+    }
+
+    /**
+     * Executes this query, taking only the first record.
+     * @returns {Promise<(TRecord & GroupByAliases & TAliases)|undefined>} The first record of this query, or undefined if this query has no records.
+     */
+    async first() {
+        const [t] = await this.take(1).toArray();
+        return t;
+    }
+
+    /**
+     * Executes this query, expecting it to have exactly one record.
+     * @returns {Promise<TRecord & GroupByAliases & TAliases>} The only record of this query.
+     */
+    async single() {
+        const ts = await this.take(2).toArray();
+        if (ts.length !== 1) {
+            throw Error(`Expected exactly one record, but ${ts.length <= 0 ? "no records were" : "more than one record was"} found.`);
+        }
+        return ts[0];
+    }
+
+    /**
+     * Gets the total number of records that match the WHERE clause of this query, regardless of how many records are skipped and taken.  
+     * If `.distinct()` was used, then the number of distinct values of the columns is counted instead. This cannot be used on grouped queries.
+     * @returns {Promise<number>} Number of records that match this query.
+     */
+    async count() {
+        if (this._groupBy !== null) {
+            throw Error('".count()" cannot be used on a query that was grouped using ".groupBy()". Use ".toArray()" to get the groups, and the "$count" of each group, instead.');
+        }
+        return await this._context.count(this._buildWhere(), /** @type {(keyof TTableModel)[]?} */ (this._distinct));
+    }
+
+    /**
+     * Combines every WHERE clause of this query into one, where each clause is nested so the OR conditions of one clause do not leak into another.
+     * @private
+     * @returns {WhereBuilderFunction<TTableModel>?} Builder function that builds the combined WHERE clause, or null if this query is not filtered.
+     */
+    _buildWhere() {
+        if (this._wheres.length <= 0) return null;
+        if (this._wheres.length === 1) return this._wheres[0];
+        return where => this._wheres.reduce((combined, w) => combined.merge(w(new WhereBuilder())), where);
+    }
+
+    /**
+     * Creates a copy of this query with the given properties overridden.
+     * @private
+     * @param {{[key: string]: any}} overrides Properties to override on the new query.
+     * @returns {MySqlQuery<TTableModel, TAliases, TRecord>} The new query.
+     */
+    _with(overrides) {
+        return Object.assign(new MySqlQuery(this._context), this, overrides);
+    }
+}
+
+/**
+ * Object that holds context to a single connection that is in the middle of a transaction. 
+ * To create a transaction, use `MySqlTableContext.transaction()`.
+ */
+export class MySqlTransaction {
+    /** @private @type {MySql2PoolConnection} */ _cnn;
+    /** @private @type {number} */ _depth;
+    /** @private @type {boolean} */ _finished = false;
+
+    /**
+     * @param {MySql2PoolConnection} cnn Connection that the transaction was started on.
+     * @param {number} depth Number of savepoints this transaction is nested in.
+     */
+    constructor(cnn, depth=0) {
+        this._cnn = cnn;
+        this._depth = depth;
+    }
+
+    /**
+     * Connection that the transaction was started on. This can be used to execute your own commands inside of the transaction.
+     * @returns {MySql2PoolConnection}
+     */
+    get connection() {
+        if (this._finished) {
+            throw Error('The transaction has already been committed or rolled back.');
+        }
+        return this._cnn;
+    }
+
+    /**
+     * Binds a MySqlTableContext to this transaction, so all of its commands are executed on this transaction's connection.  
+     * The original context is left untouched, and all relationships configured on the original context are shared with the bound context.
+     * @template {MySqlTableContext<?>} TContext
+     * @param {TContext} context MySqlTableContext to bind to this transaction.
+     * @returns {TContext} A copy of the context that is bound to this transaction.
+     */
+    context(context) {
+        // @ts-ignore Ignoring as we need access to the context's protected functions. (in other languages, this is allowed.)
+        return context._derive({ _transaction: this });
+    }
+
+    /**
+     * Executes the callback inside of a nested transaction using a SAVEPOINT.  
+     * If the callback finishes successfully, then the savepoint is released. If the callback throws, then the transaction is rolled back to the savepoint and the error is rethrown, even if the rollback fails.
+     * @template [T=void]
+     * @param {(tx: MySqlTransaction) => Promise<T>} callback Function that executes all of the commands that belong to the nested transaction.
+     * @returns {Promise<T>} The value that was returned from the callback.
+     */
+    async savepoint(callback) {
+        const name = `sp_${this._depth + 1}`;
+        const tx = new MySqlTransaction(this.connection, this._depth + 1);
+        await this.connection.query(`SAVEPOINT ${name}`);
+        try {
+            const result = await callback(tx);
+            await this.connection.query(`RELEASE SAVEPOINT ${name}`);
+            return result;
+        } catch(err) {
+            // a failed rollback must not replace the error that caused it.
+            await this.connection.query(`ROLLBACK TO SAVEPOINT ${name}`).catch(() => {});
+            throw err;
+        } finally {
+            tx._finished = true;
+        }
+    }
+}
+
+/**
+ * Creates an Inclusion from the property that was referenced in an IncludeCallback.
+ * @param {{[key: string]: Relationship<?>|undefined}} includeConfigurations Relationships that are configured on the context that is including the property.
+ * @param {string} table Name of the table that is including the property.
+ * @param {IncludeCallback<?, ?>} modelCallback Callback that references the property to include.
+ * @param {WhereBuilderFunction<?>?} where Builder function to help build a WHERE clause to filter the related records.
+ * @param {OrderByBuilderFunction<?>?} orderBy Builder function to help build an ORDER BY clause to order the related records.
+ * @param {number?} limit Maximum number of related records to include for each record.
+ * @returns {[string, Inclusion]} Key of the property that was referenced and the Inclusion to include on that key.
+ */
+function createInclusion(includeConfigurations, table, modelCallback, where, orderBy, limit) {
+    let modelKey = "";
+    /** @type {{ thisKey: string, thatKey: string, operator: Inclusion["operator"] }=} */
+    let on;
+    /** @type {(thisKey: string, thatKey: string) => {[K in keyof IncludeOnOperatorCallback]: () => void}} */
+    const createOn = (thisKey, thatKey) => {
+        /** @type {(operator: Inclusion["operator"]) => () => void} */
+        const being = (operator) => () => { on = { thisKey, thatKey, operator }; };
+        return {
+            beingEqual: being("="),
+            beingNotEqual: being("<>"),
+            beingLessThan: being("<"),
+            beingGreaterThan: being(">"),
+            beingLessThanOrEqualTo: being("<="),
+            beingGreaterThanOrEqualTo: being(">="),
+            beingLike: being("LIKE")
+        };
+    };
+    const $p = new Proxy({}, {
+        get(t,p,r) {
+            if(typeof(p) !== "string") {
+                throw new Error('Table must be a valid string representing the table to include.');
+            }
+            modelKey = p;
+            return { on: createOn };
+        }
+    });
+    modelCallback(/** @type {AbstractModelKeysToOnCallbacks<?>} */ ($p));
+
+    const relationship = includeConfigurations[modelKey];
+    if (relationship === undefined) {
+        throw Error(`No relationship was configured for "${modelKey}" on "${table}". Configure one using ".hasOne()", ".hasMany()" or ".hasManyThrough()" before including it.`);
+    }
+    if (on !== undefined && relationship.through !== undefined) {
+        throw Error(`"${modelKey}" on "${table}" is related through a junction table, so ".on()" cannot be used to include it.`);
+    }
+    return [modelKey, {
+        relationship: on !== undefined ? { ...relationship, thisKey: [on.thisKey], thatKey: [on.thatKey] } : relationship,
+        operator: on?.operator ?? "=",
+        where: where != null ? where(new WhereBuilder()) : undefined,
+        orderBy: orderBy != null ? /** @type {OrderBuilder<?>} */ (orderBy(new OrderBuilder())) : undefined,
+        limit: limit ?? undefined,
+        inclusions: {}
+    }];
+}
+
+/**
+ * Finds the relationship that is referenced in the model callback, making sure it was configured using `.hasManyThrough()`.
+ * @param {{[key: string]: Relationship<?>|undefined}} includeConfigurations Relationships that were configured on the table.
+ * @param {string} table Name of the table that the relationship was configured on.
+ * @param {IncludeCallback<?, ?>} modelCallback Callback that references the property of the relationship.
+ * @param {string} fn Name of the function that needs the relationship, used in error messages.
+ * @returns {{ thisKey: string[], thatKey: string[], through: JunctionTable }} Keys of the relationship and its junction table.
+ */
+function getJunctionRelationship(includeConfigurations, table, modelCallback, fn) {
+    let modelKey = "";
+    const $p = new Proxy({}, {
+        get(t,p,r) {
+            modelKey = String(p);
+            return {};
+        }
+    });
+    modelCallback(/** @type {AbstractModelKeysToOnCallbacks<?>} */ ($p));
+    const relationship = includeConfigurations[modelKey];
+    if (relationship?.through === undefined) {
+        throw Error(`"${modelKey}" on "${table}" must be configured using ".hasManyThrough()" to use ".${fn}()" on it.`);
+    }
+    return { thisKey: relationship.thisKey.map(String), thatKey: relationship.thatKey, through: relationship.through };
+}
+
+/**
+ * Builds the command to query the related records of an Inclusion for the given keys.  
+ * If the keys are compared on equality, then the related records are filtered using `IN (...)`, otherwise the keys are joined onto the related table 
+ * and every related record is tagged with the key it belongs to as `$parentKey0`. If a limit was specified, then each related record is also tagged with its `$row` number.  
+ * If the relationship has a junction table, then the junction table is joined onto the related table and the keys are compared to the junction table instead, 
+ * where every related record is tagged with each column of the key of the junction row it was found through as `$parentKey0`, `$parentKey1`, and so on.
+ * @param {Inclusion} inclusion Inclusion to build the command for.
+ * @param {any[][]} keys Keys of the records that are including the related records, where each key holds the value of every column of the key.
+ * @param {string?} deleted Condition that filters the soft deleted related records, if any.
+ * @returns {{ cmd: string, args: any[] }} Command and the arguments to pass with it.
+ */
+function buildInclusionQuery({ relationship, operator, where, orderBy, limit }, keys, deleted = null) {
+    const { name, thatKey, through } = relationship;
+    let keyColumns = thatKey.map(k => `\`${name}\`.\`${k}\``);
+    let selects = `\`${name}\`.*`, from = `\`${name}\``;
+    if (through !== undefined) {
+        // Only the keys of the junction table are selected, so its columns can not clash with the columns used to filter or order the related records.
+        const junctionColumns = [
+            ...through.thisKey.map((k, n) => `\`${k}\` AS \`$parentKey${n}\``), 
+            ...through.thatKey.map((k, n) => `\`${k}\` AS \`$thatKey${n}\``)
+        ];
+        from += ` INNER JOIN (SELECT ${junctionColumns.join(', ')} FROM \`${through.name}\`) AS \`$through\``
+            + ` ON ${keyColumns.map((c, n) => `\`$through\`.\`$thatKey${n}\` = ${c}`).join(' AND ')}`;
+        keyColumns = through.thisKey.map((_, n) => `\`$through\`.\`$parentKey${n}\``);
+        selects += `, ${keyColumns.join(', ')}`;
+    }
+    const inClause = buildIn(keyColumns, keys);
+    let condition = inClause.sql, keyArgs = inClause.args, partition = keyColumns.join(', ');
+    if (operator !== "=") {
+        // Other operators can only be specified using `.on()`, which compares one column.
+        selects += ", `$parent`.`$key` AS `$parentKey0`";
+        from += ` INNER JOIN (${keys.map(_ => 'SELECT ? AS `$key`').join(' UNION ALL ')}) AS \`$parent\` ON \`$parent\`.\`$key\` ${operator} ${keyColumns[0]}`;
+        condition = "";
+        keyArgs = keys.map(k => k[0]);
+        partition = "`$parent`.`$key`";
+    }
+    const filter = [condition, where?.toString().replace(" WHERE ", "") ?? "", deleted ?? ""].filter(c => c != "").map(c => `(${c})`).join(" AND ");
+    const order = orderBy?.toString() ?? "";
+    const args = [...keyArgs, ...(where?.getArgs() ?? [])];
+    if (limit === undefined) {
+        return { cmd: `SELECT ${selects} FROM ${from}${filter != "" ? ` WHERE ${filter}` : ""}${order}`, args };
+    }
+    // Number the related records of each key, so only the first {limit} related records of each key are included.
+    const ranked = `SELECT ${selects}, ROW_NUMBER() OVER (PARTITION BY ${partition}${order}) AS \`$row\` FROM ${from}${filter != "" ? ` WHERE ${filter}` : ""}`;
+    return { cmd: `SELECT * FROM (${ranked}) AS \`$ranked\` WHERE \`$row\` <= ? ORDER BY \`$row\``, args: [...args, limit] };
+}
+
+/**
+ * Formats a date for a timestamp column. UTC dates are formatted as an ISO string, which is converted to a MySQL date string when the command is executed, 
+ * while dates in any other timezone are formatted as a MySQL date string in that timezone. (YYYY-MM-dd HH:mm:ss)
+ * @param {Date} date Date to format.
+ * @param {string} timezone IANA timezone to format the date in.
+ * @returns {string} Formatted date.
+ */
+function formatTimestamp(date, timezone = "UTC") {
+    if (timezone === "UTC") return date.toISOString();
+    const format = new Intl.DateTimeFormat("en-US", /** @type {Intl.DateTimeFormatOptions} */ ({ 
+        timeZone: timezone, 
+        hourCycle: "h23", 
+        year: "numeric", 
+        month: "2-digit", 
+        day: "2-digit", 
+        hour: "2-digit", 
+        minute: "2-digit", 
+        second: "2-digit" 
+    }));
+    /** @type {{[type: string]: string}} */
+    const parts = {};
+    format.formatToParts(date).forEach(p => parts[p.type] = p.value);
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Builds the value that the version column is set to when a record is updated. 
+ * Integer versions are incremented by the database, while timestamp versions are set to the current date, truncated to the precision of the column. 
+ * Timestamp versions always move forward, so records that are updated twice within the same fraction of a second still get a new version.
+ * @param {{ column: string|number|symbol, type?: "integer"|"timestamp", precision?: number }} version Version column that was passed into the options.
+ * @param {any} expectedVersion Version the record is expected to have, if it is known.
+ * @returns {{ sql: string, args: any[], value: any }} Expression to set the column to, the arguments to pass with it, and the new version if it is known.
+ */
+function nextVersionOf({ column, type = "integer", precision = 0 }, expectedVersion = null) {
+    if (type === "timestamp") {
+        if (![0, 1, 2, 3].includes(precision)) {
+            throw Error(`The precision of the version column, "${String(column)}", must be 0, 1, 2 or 3.`);
+        }
+        // Smallest step the column can store, in milliseconds. The date is truncated to it, so MySQL does not round the stored version away from the record's.
+        const step = 10 ** (3 - precision);
+        const now = Math.floor(Date.now() / step) * step;
+        const value = new Date(expectedVersion != null ? Math.max(now, new Date(expectedVersion).getTime() + step) : now);
+        return { sql: `GREATEST(?, IFNULL(\`${String(column)}\` + INTERVAL ${step * 1000} MICROSECOND, ?))`, args: [value, value], value };
+    }
+    return { sql: `\`${String(column)}\` + 1`, args: [], value: expectedVersion != null ? Number(expectedVersion) + 1 : null };
+}
+
+/**
+ * Builds the condition that only matches records that come after the values of a cursor in the given ordering. 
+ * If every column is ordered in the same direction, then the columns are compared as a row, otherwise each column is compared in turn. 
+ * (e.g., `a > ? OR (a = ? AND b < ?)`)
+ * @param {{ column: string, desc: boolean }[]} orders Columns the records are ordered by.
+ * @param {any[]} values Values of the cursor, for every column.
+ * @param {boolean} isBackward True if the records that come before the cursor should be matched instead.
+ * @param {boolean} inclusive True if the record the cursor was made from should be matched as well.
+ * @returns {{ sql: string, args: any[] }} Condition and the arguments to pass with it.
+ */
+function buildKeyset(orders, values, isBackward, inclusive = false) {
+    const columns = orders.map(o => escapeColumn(o.column));
+    const operators = orders.map(o => o.desc !== isBackward ? "<" : ">");
+    // Only the last column is compared inclusively, so the records that have every value of the cursor are matched as well.
+    const last = inclusive ? "=" : "";
+    if (operators.every(op => op === operators[0])) {
+        return columns.length === 1 
+            ? { sql: `${columns[0]} ${operators[0]}${last} ?`, args: values }
+            : { sql: `(${columns.join(', ')}) ${operators[0]}${last} (${columns.map(_ => '?').join(',')})`, args: values };
+    }
+    const conditions = columns.map((c, n) => [
+        ...columns.slice(0, n).map(c => `${c} = ?`), 
+        `${c} ${operators[n]}${n === columns.length - 1 ? last : ""} ?`
+    ].join(" AND "));
+    /** @type {any[]} */
+    const args = [];
+    columns.forEach((_, n) => args.push(...values.slice(0, n + 1)));
+    return { sql: conditions.map(c => `(${c})`).join(" OR "), args };
+}
+
+/**
+ * Encodes the values of a record into an opaque cursor.
+ * @param {"next"|"prev"} direction Whether the cursor gets the records after or before the record.
+ * @param {any[]} values Values of the columns the records are ordered by.
+ * @param {boolean} inclusive True if the cursor gets the record itself as well.
+ * @returns {string} Cursor, encoded as URL safe base64.
+ */
+function encodeCursor(direction, values, inclusive = false) {
+    const json = JSON.stringify({ 
+        direction, 
+        values: values.map(v => v instanceof Date ? { $date: v.toISOString() } : v),
+        ...(inclusive ? { inclusive } : {})
+    });
+    return Buffer.from(json).toString("base64url");
+}
+
+/**
+ * Decodes a cursor that was encoded using `encodeCursor()`.
+ * @param {string} cursor Cursor to decode.
+ * @param {number} numberOfColumns Number of columns the records are ordered by, which the cursor must have a value for.
+ * @returns {{ direction: "next"|"prev", values: any[], inclusive: boolean }} Direction and values of the cursor, and whether it gets the record itself as well.
+ */
+function decodeCursor(cursor, numberOfColumns) {
+    /** @type {any} */
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    } catch(err) {
+        throw Error('The cursor is not valid.');
+    }
+    if (decoded == null || (decoded.direction !== "next" && decoded.direction !== "prev") 
+        || !Array.isArray(decoded.values) || decoded.values.length !== numberOfColumns) {
+        throw Error('The cursor is not valid for this ordering.');
+    }
+    /** @type {any[]} */
+    const values = decoded.values.map((/** @type {any} */ v) => v != null && typeof(v) === "object" && "$date" in v ? new Date(v.$date) : v);
+    return { direction: decoded.direction, values, inclusive: decoded.inclusive === true };
+}
+
+/**
+ * Escapes a column, which can be qualified with the name of the table it belongs to. (e.g., "Track.Name" becomes "`Track`.`Name`")
+ * @param {string} column Column to escape.
+ * @returns {string} Escaped column.
+ */
+function escapeColumn(column) {
+    return column.split(".").map(part => `\`${part}\``).join(".");
+}
+
+/**
+ * Checks if the given columns are the same column, where a column that is not qualified with a Table is the same as that column of any Table.
+ * @param {string} a Column, which may be qualified with its Table. (e.g., "Customer.CustomerId")
+ * @param {string} b Column, which may be qualified with its Table.
+ * @returns {boolean} True if the columns are the same.
+ */
+function isSameColumn(a, b) {
+    if (a.includes(".") && b.includes(".")) return a === b;
+    return a.split(".").pop() === b.split(".").pop();
+}
+
+/**
+ * Adds a condition onto a WHERE clause that was built using a WhereBuilder, so the condition applies regardless of any OR in the clause.
+ * @param {string} clause WHERE clause to add the condition to, which may be empty.
+ * @param {string?} condition Condition to add. If null, then the clause is returned as is.
+ * @returns {string} WHERE clause with the condition.
+ */
+function addCondition(clause, condition) {
+    if (condition == null) return clause;
+    return clause.length > 0 ? ` WHERE (${clause.replace(" WHERE ", "")}) AND ${condition}` : ` WHERE ${condition}`;
+}
+
+/**
+ * Counts the records that were inserted and updated by an `INSERT ... ON DUPLICATE KEY UPDATE` command.  
+ * When more than one record was inserted, MySQL reports the number of records that already existed in the info of the result (e.g., "Records: 3  Duplicates: 1  Warnings: 0"), 
+ * otherwise the affected rows are 1 if the record was inserted, and 2 (or 0 if it was already up to date) if the record was updated.
+ * @param {MySql2ResultSetHeader} result Result of the command.
+ * @param {number} numberOfRecords Number of records that were sent in the command.
+ * @returns {UpsertResult} Number of records that were inserted and updated.
+ */
+function countUpserts({ affectedRows, info }, numberOfRecords) {
+    if (numberOfRecords === 1) {
+        // 1 if it was inserted, 2 if it was updated, and 0 if it was already up to date. (or 1 with the FOUND_ROWS flag, which can not be told apart from inserted)
+        return affectedRows === 1 ? { inserted: 1, updated: 0 } : { inserted: 0, updated: 1 };
+    }
+    const duplicates = /Duplicates: ([0-9]+)/.exec(info ?? "");
+    // Without the info, every updated record counts 2 affected rows and every inserted record counts 1, assuming no record was already up to date.
+    const updated = duplicates !== null ? parseInt(duplicates[1]) : Math.min(numberOfRecords, Math.max(0, affectedRows - numberOfRecords));
+    return { inserted: numberOfRecords - updated, updated };
+}
+
+/**
+ * Estimates the number of bytes a value takes up when it is sent to MySQL.
+ * @param {any} value Value to estimate.
+ * @returns {number} Estimated number of bytes.
+ */
+function estimateBytes(value) {
+    if (value == null) return 4;
+    if (value instanceof Date) return 19;
+    if (Buffer.isBuffer(value)) return value.length;
+    return Buffer.byteLength(String(value));
+}
+
+/**
+ * Builds a condition that matches the given columns to any of the given keys. 
+ * If there is more than one column, then the columns are compared as a row. (e.g., `(a, b) IN ((?,?),(?,?))`)
+ * @param {string[]} columns Escaped columns to compare.
+ * @param {any[][]} keys Keys to match, where each key holds a value for every column.
+ * @returns {{ sql: string, args: any[] }} Condition and the arguments to pass with it.
+ */
+function buildIn(columns, keys) {
+    if (columns.length === 1) {
+        return { sql: `${columns[0]} IN (${keys.map(_ => '?').join(',')})`, args: keys.map(k => k[0]) };
+    }
+    /** @type {any[]} */
+    const args = [];
+    keys.forEach(k => args.push(...k));
+    return { sql: `(${columns.join(', ')}) IN (${keys.map(_ => `(${columns.map(_ => '?').join(',')})`).join(',')})`, args };
+}
+
+/**
+ * Pairs the columns of this table with the columns of the other table for a relationship.
+ * @param {string|number|symbol|(string|number|symbol)[]} thisColumns Column, or columns, of this table.
+ * @param {string|number|symbol|(string|number|symbol)[]} thatColumns Column, or columns, of the other table.
+ * @returns {{ thisKey: string[], thatKey: string[] }} Columns of this table and the other table, in the same order.
+ */
+function pairKeys(thisColumns, thatColumns) {
+    const thisKey = (Array.isArray(thisColumns) ? thisColumns : [thisColumns]).map(String);
+    const thatKey = (Array.isArray(thatColumns) ? thatColumns : [thatColumns]).map(String);
+    if (thisKey.length <= 0 || thisKey.length !== thatKey.length) {
+        throw Error(`Keys must pair the same number of columns on both sides, but ${thisKey.length} and ${thatKey.length} columns were given.`);
+    }
+    return { thisKey, thatKey };
+}
+
+/**
+ * Serializes the values of a key so it can be used to match records from different queries.
+ * @param {any[]} values Values of every column of the key.
+ * @returns {string} Serialized key.
+ */
+function serializeKey(values) {
+    return JSON.stringify(values.map(value => value instanceof Date ? value.toISOString() : String(value)));
+}
@@ -1,17 +1,32 @@
-import { MySqlTableContext, MySqlJoinContext } from "./contexts.js";
+import { MySqlTableContext, MySqlJoinContext, MySqlTransaction, MySqlConcurrencyError, MySqlQuery } from "./contexts.js";
 import { WhereBuilder, OrderBuilder, GroupBuilder } from "./builders.js";
 
 /** @template TModel @typedef {import('./toolbelt.js').TableJoinMetadata<TModel>} TableJoinMetadata */
 /** @template TModel @typedef {import('./toolbelt.js').WhereBuilderFunction<TModel>} WhereBuilderFunction */
 /** @template TModel @typedef {import('./toolbelt.js').OrderByBuilderFunction<TModel>} OrderByBuilderFunction */
-/** @template TModel @typedef {import('./toolbelt.js').GroupByBuilderFunction<TModel>} GroupByBuilderFunction */
+/** @template TModel @template [TAliases={}] @typedef {import('./toolbelt.js').GroupByBuilderFunction<TModel, TAliases>} GroupByBuilderFunction */
+/** @typedef {import('./toolbelt.js').TimeBucketUnit} TimeBucketUnit */
+/** @typedef {import('./toolbelt.js').TimeBucketOptions} TimeBucketOptions */
+/** @typedef {import('./toolbelt.js').MatchOptions} MatchOptions */
+/** @typedef {import('./toolbelt.js').RelevanceAlias} RelevanceAlias */
+/** @template T @typedef {import('./toolbelt.js').JsonPath<T>} JsonPath */
 /** @typedef {import('./toolbelt.js').SuccessHandler} SuccessHandler */
 /** @typedef {import('./toolbelt.js').FailHandler} FailHandler */
-/** @typedef {import('./toolbelt.js').TableContextOptions} TableContextOptions */
+/** @template [TModel=import('./toolbelt.js').AbstractModel] @typedef {import('./toolbelt.js').TableContextOptions<TModel>} TableContextOptions */
+/** @typedef {import('./toolbelt.js').InsertOptions} InsertOptions */
+/** @template TModel @typedef {import('./toolbelt.js').UpsertColumns<TModel>} UpsertColumns */
+/** @typedef {import('./toolbelt.js').UpsertResult} UpsertResult */
+/** @typedef {import('./toolbelt.js').InsertModeResult} InsertModeResult */
+/** @template TModel @typedef {import('./toolbelt.js').SelectableColumn<TModel>} SelectableColumn */
+/** @template TModel @typedef {import('./toolbelt.js').Page<TModel>} Page */
+/** @template TModel @typedef {import('./toolbelt.js').CursorPage<TModel>} CursorPage */
 
 export {
     MySqlTableContext,
     MySqlJoinContext,
+    MySqlTransaction,
+    MySqlConcurrencyError,
+    MySqlQuery,
     WhereBuilder,
     OrderBuilder,
     GroupBuilder
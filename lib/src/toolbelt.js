@@ -8,35 +8,45 @@ import { MySqlTableContext } from './contexts.js';
 /** @typedef {{[key: string]: any}} AbstractModel */
 
 /**
+ * Operators that can be used to compare the keys specified in an IncludeOnCallback. The key of this model is always on the left side of the operator.
+ * @template [TThatModel=void]
  * @typedef {Object} IncludeOnOperatorCallback
- * @property {() => void} beingEqual
- * @property {() => void} beingNotEqual
- * @property {() => void} beingLessThan
- * @property {() => void} beingGreaterThan
- * @property {() => void} beingLessThanOrEqualTo
- * @property {() => void} beingGreaterThanOrEqualTo
- * @property {() => void} beingLike
+ * @property {() => TThatModel} beingEqual Includes related records where this key is equal to that key.
+ * @property {() => TThatModel} beingNotEqual Includes related records where this key is not equal to that key.
+ * @property {() => TThatModel} beingLessThan Includes related records where this key is less than that key.
+ * @property {() => TThatModel} beingGreaterThan Includes related records where this key is greater than that key.
+ * @property {() => TThatModel} beingLessThanOrEqualTo Includes related records where this key is less than or equal to that key.
+ * @property {() => TThatModel} beingGreaterThanOrEqualTo Includes related records where this key is greater than or equal to that key.
+ * @property {() => TThatModel} beingLike Includes related records where this key is LIKE the pattern stored in that key.
  */
 
 /**
+ * Overrides the keys of a configured relationship for one include. This must be followed by one of the operators from IncludeOnOperatorCallback.
  * @template {AbstractModel} TThisModel
- * @template {AbstractModel} TThatModel
+ * @template TThatModel
  * @callback IncludeOnCallback
  * @param {keyof TThisModel extends string ? keyof TThisModel : never} thisKey
- * @param {TThatModel extends Array<infer T> ? T[0] extends string ? keyof T[0] : never : keyof TThatModel extends string ? keyof TThatModel : never} thatKey
- * param {TThatModel extends [] ? (keyof TThatModel[0] extends string ? keyof TThatModel[0] : never) : (keyof TThatModel extends string ? keyof TThatModel : never)} thatKey
- * @returns {IncludeOnOperatorCallback}
+ * @param {TThatModel extends Array<infer T> ? keyof T & string : keyof TThatModel & string} thatKey
+ * @returns {IncludeOnOperatorCallback<TThatModel>}
  */
 
 /**
  * @template {AbstractModel} TThisModel
- * @typedef {Required<{[K in keyof TThisModel as TThisModel[K] extends (AbstractModel[]|AbstractModel|undefined) ? K : never]: { on: IncludeOnCallback<TThisModel, TThisModel[K]>}}>} AbstractModelKeysToOnCallbacks
+ * @typedef {Required<{[K in keyof TThisModel as TThisModel[K] extends (AbstractModel[]|AbstractModel|undefined) ? K : never]: NonNullable<TThisModel[K]> & { on: IncludeOnCallback<TThisModel, TThisModel[K]>}}>} AbstractModelKeysToOnCallbacks
  */
 
 /**
  * @template {AbstractModel} TThisModel
+ * @template [TIncluded=unknown]
  * @callback IncludeCallback
  * @param {AbstractModelKeysToOnCallbacks<TThisModel>} model
+ * @returns {TIncluded}
+ */
+
+/**
+ * Gets the model of the records that were referenced in an IncludeCallback. If the referenced property is an array, then the model is the type of each element.
+ * @template TIncluded Type that was returned from the IncludeCallback.
+ * @typedef {NonNullable<TIncluded> extends (infer R)[] ? R : Omit<NonNullable<TIncluded>, "on">} IncludedModel
  */
 
 /**
@@ -86,7 +96,7 @@ import { MySqlTableContext } from './contexts.js';
  * Used to specify the metadata required to create a MySqlJoinContext class object.
  * @template {AbstractModel} TModel Model object that the key should represent.
  * @typedef {Object} TableJoinMetadata
- * @property {keyof TModel} key Key of the TModel object to join on.
+ * @property {keyof TModel|(keyof TModel)[]} key Key of the TModel object to join on, or keys for a composite key. (the keys are paired with the other table's keys in the same order)
  * @property {string=} name Name of the table to reference the key from.
  */
 
@@ -143,17 +153,97 @@ import { MySqlTableContext } from './contexts.js';
 /**
  * Function template that accepts a GroupBuilder class object argument parameter and returns a WhereBuilder class object.
  * @template {AbstractModel} TTableModel Model that represents the Table where the WHERE clause is being built.
+ * @template {{[alias: string]: any}} [TAliases={}] Aliases of the aggregates that are selected for each group.
  * @callback GroupByBuilderFunction
- * @param {GroupBuilder<TTableModel>} group GroupBuilder class object that can be used to assist in building an ORDER BY clause.
- * @returns {GroupBuilder<TTableModel>} The GroupBuilder class object that was built.
+ * @param {GroupBuilder<TTableModel, {}>} group GroupBuilder class object that can be used to assist in building an ORDER BY clause.
+ * @returns {GroupBuilder<TTableModel, TAliases>} The GroupBuilder class object that was built.
  */
 
 /**
  * All of the options available to pass into the "options" argument in the constructor for MySqlTableContext.
+ * @template {AbstractModel} [TModel=AbstractModel] Model that represents the Table the options are for.
  * @typedef {Object} TableContextOptions
+ * @property {(keyof TModel)|(keyof TModel)[]=} primaryKey Column, or columns for a composite key, of the Table's primary key. (default: the "autoIncrementKey" passed into the constructor)
  * @property {boolean=} allowUpdateOnAll Permit updating to all records in the Table.
  * @property {boolean=} allowTruncation Permit truncation of the Table.
  * @property {boolean=} sortKeys Sort keys before being inserted. This can possibly prevent any mangling of key/value pairs.
+ * @property {number=} maxRowsPerInsert Maximum number of records that are inserted in one command. Records past this are inserted in another command. (default: 1000)
+ * @property {number=} maxBytesPerInsert Maximum estimated number of bytes of the values that are inserted in one command, which should stay below MySQL's "max_allowed_packet". (default: 1048576, or 1 MiB)
+ * @property {{ column: keyof TModel }=} softDelete Column that holds the date a record was deleted on. If specified, then `.delete()` sets this column (using the timezone of the "timestamps" option) instead of deleting the records, 
+ * and soft deleted records are left out of every query unless `.withDeleted()` or `.onlyDeleted()` is used.
+ * @property {{ column: keyof TModel, type?: "integer"|"timestamp", precision?: 0|1|2|3 }=} version Column that holds the version of a record, which is changed on every update. (type default: "integer")  
+ * If the record passed into `.update()` holds the version, then only the record with that version is updated, and a MySqlConcurrencyError is thrown if no record was updated.  
+ * For "timestamp" versions, "precision" is the number of fractional seconds the column stores. (e.g., 3 for `DATETIME(3)`) (default: 0)
+ * @property {{ createdAt?: keyof TModel, updatedAt?: keyof TModel, timezone?: string }=} timestamps Columns that are set to the current date when records are inserted (createdAt and updatedAt, unless the records already hold a value for them) 
+ * and when records are updated or upserted (updatedAt, even if the records already hold a value for it). The dates are stored in UTC, unless an IANA "timezone" is specified. (e.g., "America/Chicago")
+ * @property {(keyof TModel)[]=} json Columns that hold JSON. Their values are serialized when records are inserted or updated, and parsed when records are read as strings.
+ */
+
+/**
+ * All of the options available to pass into the "options" argument of `.insertOne()` and `.insertMany()` on MySqlTableContext.
+ * @typedef {Object} InsertOptions
+ * @property {boolean=} withRelations Also insert the related records that are set on the records, for every relationship configured on the context. 
+ * The records and all of their related records are inserted inside of one transaction. This cannot be used with the "ignore" mode.
+ * @property {"insert"|"ignore"|"replace"=} mode How records that have a PRIMARY or UNIQUE key that already exists are handled. (default: "insert")  
+ *  - "insert": `INSERT INTO`, where an Error is thrown.  
+ *  - "ignore": `INSERT IGNORE INTO`, where the record is skipped.  
+ *  - "replace": `REPLACE INTO`, where the existing record is deleted before the record is inserted.  
+ * If "ignore" or "replace" is used, then the number of records that were inserted and skipped is returned instead of the records.
+ * @property {boolean=} atomic If the records are split into more than one command, then insert all of them inside of one transaction, so either all of the records are inserted or none of them are. 
+ * Otherwise, the records of the commands that were executed before a failing command stay inserted. (default: false)
+ */
+
+/**
+ * Columns to overwrite when a record being upserted already exists. Either a list of columns that are overwritten with the values of the record, 
+ * or an object where each key is a column and each value is the raw MySQL expression to set it to. (e.g., `{ Total: "\`Total\` + VALUES(\`Total\`)" }`)
+ * @template {AbstractModel} TModel
+ * @typedef {(keyof TModel)[]|Partial<{[K in keyof TModel]: string}>} UpsertColumns
+ */
+
+/**
+ * Number of records that were inserted and updated from an upsert.
+ * @typedef {Object} UpsertResult
+ * @property {number} inserted Number of records that did not exist and were inserted.
+ * @property {number} updated Number of records that already existed and were updated.
+ */
+
+/**
+ * Number of records that were inserted and skipped from an insert using the "ignore" or "replace" mode.
+ * @typedef {Object} InsertModeResult
+ * @property {number} inserted Number of records that were inserted, including the records that replaced an existing record.
+ * @property {number} skipped Number of records that were skipped, since a record with the same PRIMARY or UNIQUE key already existed. This is always 0 for the "replace" mode.
+ */
+
+/**
+ * Page of records that was queried using `.getPage()`, along with the total number of records.
+ * @template TModel Model of the records on the page.
+ * @typedef {Object} Page
+ * @property {TModel[]} items Records on the page.
+ * @property {number} total Total number of records on every page.
+ * @property {number} page Number of the page, starting at 1.
+ * @property {number} pageSize Maximum number of records on each page.
+ * @property {number} totalPages Total number of pages.
+ */
+
+/**
+ * Page of records that was queried using keyset (cursor) pagination.
+ * @template TModel Model of the records on the page.
+ * @typedef {Object} CursorPage
+ * @property {TModel[]} items Records on the page.
+ * @property {string?} nextCursor Cursor to get the page after this page, or null if there are no more records.
+ * @property {string?} prevCursor Cursor to get the page before this page, or null if this is the first page.
+ */
+
+/**
+ * Column of TModel that can be selected using `.select()`, which can be qualified with the name of the table it belongs to. (e.g., "Name" or "Track.Name")
+ * @template {AbstractModel} TModel
+ * @typedef {(keyof TModel & string)|`${string}.${keyof TModel & string}`} SelectableColumn
+ */
+
+/**
+ * Gets the key that a SelectableColumn is returned as, which is the column without the name of the table it belongs to.
+ * @template TColumn
+ * @typedef {TColumn extends `${string}.${infer TKey}` ? TKey : TColumn} SelectedColumn
  */
 
 /**
@@ -198,6 +288,74 @@ import { MySqlTableContext } from './contexts.js';
  * @property {string=} $yearWeek The date of the group specified in 'YYYY/mm/dd'. Only accessible if the group => group.byWeek() function was used. If no clause was provided, then this will be undefined.
  * @property {string=} $yearMonth The date of the group specified in 'YYYY/mm'. Only accessible if the group => group.byMonth() function was used. If no clause was provided, then this will be undefined.
  * @property {string=} $year The date of the group specified in 'YYYY'. Only accessible if the group => group.byYear() function was used. If no clause was provided, then this will be undefined.
+ * @property {Date=} $time The start of the time bucket of the group. Only accessible if the group => group.byTime() function was used. If no clause was provided, then this will be undefined.
+ */
+
+/**
+ * Options for searching a FULLTEXT index using `where => where.matches()` or `.withRelevance()`.
+ * @typedef {Object} MatchOptions
+ * @property {"natural"|"boolean"|"expansion"=} mode Whether the text is searched for in natural language mode, in boolean mode (where operators such as "+" and "-" can be used), or in natural language mode with query expansion. (default: "natural")
+ */
+
+/**
+ * Alias for the relevance of each record to a full-text search, which is selected using `.withRelevance()`.
+ * @typedef {Object} RelevanceAlias
+ * @property {number} $relevance Relevance of the record to the search, where records that are more relevant have a higher number.
+ */
+
+/**
+ * Model of the records that are grouped or selected distinctively, which do not have the relevance that is selected using `.withRelevance()`.
+ * @template TModel Model of the records.
+ * @typedef {"$relevance" extends keyof TModel ? Omit<TModel, "$relevance"> : TModel} WithoutRelevance
+ */
+
+/**
+ * Aliases of a query that has no GROUP BY clause, which tell it apart from a query that is grouped without selecting any aggregates.
+ * @typedef {{ $ungrouped: never }} Ungrouped
+ */
+
+/**
+ * Aliases of the aggregates that are selected for each group, which are none if the query has no GROUP BY clause.  
+ * The aliases are indexed out of a tuple, so TypeScript only infers them from the GROUP BY clause, and not from the ORDER BY clause or the DISTINCT columns.
+ * @template TAliases Aliases of the aggregates, or `Ungrouped` if the query has no GROUP BY clause.
+ * @typedef {[TAliases extends Ungrouped ? {} : TAliases][TAliases extends any ? 0 : never]} AliasesOf
+ */
+
+/**
+ * Model of the records of a query, which only have the relevance that is selected using `.withRelevance()` if they are neither grouped nor selected distinctively.
+ * @template TModel Model of the records.
+ * @template TAliases Aliases of the aggregates, or `Ungrouped` if the query has no GROUP BY clause.
+ * @template TDistinct Columns the records are selected distinctively off of, or null if they are not.
+ * @typedef {[TAliases, TDistinct] extends [Ungrouped, null|undefined] ? TModel : WithoutRelevance<TModel>} QueriedModel
+ */
+
+/**
+ * JSON path into the value of a JSON column, starting at the value itself, "$". (e.g., "$.tags" or "$.addresses[0].city")  
+ * If the type of the column is not known, then any path starting with "$" is accepted.
+ * @template T Type of the value held by the JSON column.
+ * @typedef {unknown extends T ? `$${string}` : "$"|`$${JsonSubPath<NonNullable<T>>}`} JsonPath
+ */
+
+/**
+ * Part of a JSON path that follows "$", made of the array indexes and object keys of the type specified.
+ * @template T Type of the value the path goes into.
+ * @typedef {T extends readonly (infer U)[] 
+ *  ? `[${number}]`|`[${number}]${JsonSubPath<NonNullable<U>>}`
+ *  : T extends Date ? never
+ *  : T extends object ? { [K in keyof T & string]: `.${K}`|`.${K}${JsonSubPath<NonNullable<T[K]>>}` }[keyof T & string]
+ *  : never} JsonSubPath
+ */
+
+/**
+ * Size of the time buckets that records are grouped by using `group => group.byTime()`.
+ * @typedef {"hour"|"day"|"week"|"month"|"quarter"|"year"} TimeBucketUnit
+ */
+
+/**
+ * Options for grouping records by time buckets using `group => group.byTime()`.
+ * @typedef {Object} TimeBucketOptions
+ * @property {string=} timezone Timezone to bucket the dates in, as an offset (e.g., "+05:00") or a named timezone (e.g., "America/New_York"). The dates are assumed to be stored in UTC. Named timezones require the timezone tables to be loaded into MySQL. (default: the dates are bucketed as they are stored)
+ * @property {{ from: Date, to: Date }=} fill Range of dates whose buckets are returned even if no records fall in them, with a `$count` of 0. The query cannot be limited, offset or ordered.
  */
 
 /**
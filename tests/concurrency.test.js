@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MySqlTableContext, MySqlConcurrencyError } from "../lib/src/index.js";
+import { fakePool, inOrder } from "./fake-pool.js";
+
+test("updateOne only updates the record if it still has the version it was read with", async () => {
+    const pool = fakePool(() => ({ affectedRows: 1 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { version: { column: "Version" } });
+    const customer = { CustomerId: 1, Email: "jdoe@example.com", Version: 3 };
+
+    assert.equal(await customers.updateOne(customer), 1);
+    assert.equal(pool.log[0].cmd, "UPDATE `Customer` SET `Email`=?, `Version`=`Version` + 1 WHERE (`CustomerId` = ?) AND `Customer`.`Version` = ?");
+    assert.deepEqual(pool.log[0].args, ["jdoe@example.com", 1, 3]);
+    assert.equal(customer.Version, 4);
+});
+
+test("updateOne throws a MySqlConcurrencyError if the record was changed after it was read", async () => {
+    const pool = fakePool(() => ({ affectedRows: 0 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { version: { column: "Version" } });
+    const customer = { CustomerId: 1, Email: "jdoe@example.com", Version: 3 };
+
+    await assert.rejects(customers.updateOne(customer), err => {
+        assert.ok(err instanceof MySqlConcurrencyError);
+        assert.equal(err.table, "Customer");
+        assert.equal(err.expectedVersion, 3);
+        return true;
+    });
+    assert.equal(customer.Version, 3);
+});
+
+test("update bumps the version without checking it if the record does not hold one", async () => {
+    const pool = fakePool(() => ({ affectedRows: 0 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { version: { column: "Version" } });
+
+    assert.equal(await customers.update({ Email: "jdoe@example.com" }, w => w.equals("CustomerId", 1)), 0);
+    assert.equal(pool.log[0].cmd, "UPDATE `Customer` SET `Email`=?, `Version`=`Version` + 1 WHERE `CustomerId` = ?");
+});
+
+test("timestamp versions move forward even if the clock is behind the stored version", async () => {
+    const pool = fakePool(() => ({ affectedRows: 1 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { version: { column: "Version", type: "timestamp" } });
+    const readWith = new Date(Date.now() + 60000);
+    readWith.setMilliseconds(0);
+    const customer = { CustomerId: 1, Email: "jdoe@example.com", Version: readWith };
+
+    await customers.updateOne(customer);
+    assert.equal(pool.log[0].cmd, "UPDATE `Customer` SET `Email`=?, `Version`=GREATEST(?, IFNULL(`Version` + INTERVAL 1000000 MICROSECOND, ?)) WHERE (`CustomerId` = ?) AND `Customer`.`Version` = ?");
+    assert.deepEqual(pool.log[0].args.at(-1), readWith);
+    assert.ok(customer.Version > readWith);
+});
+
+test("an unsupported timestamp precision is rejected", async () => {
+    const pool = fakePool(() => ({ affectedRows: 1 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { version: { column: "Version", type: "timestamp", precision: 5 } });
+
+    await assert.rejects(customers.updateOne({ CustomerId: 1, Version: new Date() }), /must be 0, 1, 2 or 3/);
+    assert.equal(pool.log.length, 0);
+});
+
+test("upserts, soft deletes and restores bump the version", async () => {
+    const pool = fakePool(inOrder({ affectedRows: 2, insertId: 1 }, { affectedRows: 1 }, { affectedRows: 1 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { version: { column: "Version" }, softDelete: { column: "DeletedAt" } });
+
+    await customers.upsertOne({ CustomerId: 1, Email: "jdoe@example.com", Version: 3 });
+    await customers.delete(w => w.equals("CustomerId", 1));
+    await customers.restore(w => w.equals("CustomerId", 1));
+
+    assert.equal(pool.log[0].cmd, "INSERT INTO `Customer` (`CustomerId`, `Email`, `Version`) VALUES (?,?,?) ON DUPLICATE KEY UPDATE `Email` = VALUES(`Email`), `Version` = `Version` + 1, `CustomerId` = LAST_INSERT_ID(`CustomerId`)");
+    assert.equal(pool.log[1].cmd, "UPDATE `Customer` SET `Customer`.`DeletedAt` = ?, `Version`=`Version` + 1 WHERE (`CustomerId` = ?) AND `Customer`.`DeletedAt` IS NULL");
+    assert.equal(pool.log[2].cmd, "UPDATE `Customer` SET `Customer`.`DeletedAt` = NULL, `Version`=`Version` + 1 WHERE (`CustomerId` = ?) AND `Customer`.`DeletedAt` IS NOT NULL");
+});
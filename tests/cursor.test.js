@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MySqlTableContext } from "../lib/src/index.js";
+import { fakePool } from "./fake-pool.js";
+
+/** @param {string} cursor */
+const decode = cursor => JSON.parse(Buffer.from(cursor, "base64url").toString());
+/** @param {any} cursor */
+const encode = cursor => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+/** @param {number} day */
+const jan = day => new Date(Date.UTC(2020, 0, day));
+
+test("the first page asks for one extra record to know if there is a next page", async () => {
+    const pool = fakePool(() => [
+        { InvoiceId: 5, InvoiceDate: jan(5) },
+        { InvoiceId: 4, InvoiceDate: jan(4) },
+        { InvoiceId: 3, InvoiceDate: jan(3) }
+    ]);
+    const invoices = new MySqlTableContext(pool, "Invoice", "InvoiceId");
+
+    const page = await invoices.getCursorPage(2, o => o.by("InvoiceDate").desc());
+    assert.equal(pool.log[0].cmd, "SELECT * FROM `Invoice` ORDER BY `Invoice`.`InvoiceDate` DESC,`Invoice`.`InvoiceId` DESC LIMIT 3 ");
+    assert.deepEqual(page.items.map(i => i.InvoiceId), [5, 4]);
+    assert.equal(page.prevCursor, null);
+    assert.deepEqual(decode(page.nextCursor), { direction: "next", values: [{ $date: "2020-01-04T00:00:00.000Z" }, 4] });
+});
+
+test("the next page continues after the last record of the previous page", async () => {
+    const pool = fakePool(() => [{ InvoiceId: 3, InvoiceDate: jan(3) }]);
+    const invoices = new MySqlTableContext(pool, "Invoice", "InvoiceId");
+    const cursor = encode({ direction: "next", values: [{ $date: "2020-01-04T00:00:00.000Z" }, 4] });
+
+    const page = await invoices.getCursorPage(2, o => o.by("InvoiceDate").desc(), cursor);
+    assert.equal(pool.log[0].cmd, "SELECT * FROM `Invoice` WHERE (`Invoice`.`InvoiceDate`, `Invoice`.`InvoiceId`) < (?,?) ORDER BY `Invoice`.`InvoiceDate` DESC,`Invoice`.`InvoiceId` DESC LIMIT 3 ");
+    assert.deepEqual(pool.log[0].args, [jan(4), 4]);
+    assert.deepEqual(page.items.map(i => i.InvoiceId), [3]);
+    assert.equal(page.nextCursor, null);
+    assert.deepEqual(decode(page.prevCursor), { direction: "prev", values: [{ $date: "2020-01-03T00:00:00.000Z" }, 3] });
+});
+
+test("the previous page is read in reverse and returned in order", async () => {
+    const pool = fakePool(() => [
+        { InvoiceId: 4, InvoiceDate: jan(4) },
+        { InvoiceId: 5, InvoiceDate: jan(5) },
+        { InvoiceId: 6, InvoiceDate: jan(6) }
+    ]);
+    const invoices = new MySqlTableContext(pool, "Invoice", "InvoiceId");
+    const cursor = encode({ direction: "prev", values: [{ $date: "2020-01-03T00:00:00.000Z" }, 3] });
+
+    const page = await invoices.getCursorPage(2, o => o.by("InvoiceDate").desc(), cursor);
+    assert.equal(pool.log[0].cmd, "SELECT * FROM `Invoice` WHERE (`Invoice`.`InvoiceDate`, `Invoice`.`InvoiceId`) > (?,?) ORDER BY `Invoice`.`InvoiceDate` ASC,`Invoice`.`InvoiceId` ASC LIMIT 3 ");
+    assert.deepEqual(page.items.map(i => i.InvoiceId), [5, 4]);
+    assert.deepEqual(decode(page.nextCursor), { direction: "next", values: [{ $date: "2020-01-04T00:00:00.000Z" }, 4] });
+    assert.deepEqual(decode(page.prevCursor), { direction: "prev", values: [{ $date: "2020-01-05T00:00:00.000Z" }, 5] });
+});
+
+test("mixed directions are compared column by column", async () => {
+    const pool = fakePool(() => []);
+    const invoices = new MySqlTableContext(pool, "Invoice", "InvoiceId");
+    const cursor = encode({ direction: "next", values: [10, 2, 3] });
+
+    await invoices.getCursorPage(2, o => o.by("Total").desc().by("InvoiceDate").asc(), cursor);
+    assert.equal(pool.log[0].cmd, "SELECT * FROM `Invoice` WHERE (`Invoice`.`Total` < ?) OR (`Invoice`.`Total` = ? AND `Invoice`.`InvoiceDate` > ?) OR (`Invoice`.`Total` = ? AND `Invoice`.`InvoiceDate` = ? AND `Invoice`.`InvoiceId` > ?) ORDER BY `Invoice`.`Total` DESC,`Invoice`.`InvoiceDate` ASC,`Invoice`.`InvoiceId` ASC LIMIT 3 ");
+    assert.deepEqual(pool.log[0].args, [10, 10, 2, 10, 2, 3]);
+});
+
+test("columns that are only selected for the cursor are removed from the items", async () => {
+    const pool = fakePool(() => [{ Total: 1, InvoiceId: 5, InvoiceDate: jan(5) }]);
+    const invoices = new MySqlTableContext(pool, "Invoice", "InvoiceId");
+
+    const page = await invoices.select(["Total"]).getCursorPage(2, o => o.by("InvoiceDate").desc());
+    assert.equal(pool.log[0].cmd, "SELECT `Total`,`Invoice`.`InvoiceDate`,`Invoice`.`InvoiceId` FROM `Invoice` ORDER BY `Invoice`.`InvoiceDate` DESC,`Invoice`.`InvoiceId` DESC LIMIT 3 ");
+    assert.deepEqual(page.items, [{ Total: 1 }]);
+});
+
+test("the cursor of a join is qualified by the table that has the column", async () => {
+    const pool = fakePool(() => [{ Name: "Track", TrackId: 2 }]);
+    const tracks = new MySqlTableContext(pool, "Track", "TrackId");
+    const albums = new MySqlTableContext(pool, "Album", "AlbumId");
+    const joined = tracks.join(albums, { key: "AlbumId" }, { key: "AlbumId" });
+
+    const page = await joined.select(["Name"]).getCursorPage(1, o => o.by("TrackId"), encode({ direction: "next", values: [1] }));
+    assert.equal(pool.log[0].cmd, "SELECT `Name`,`Track`.`TrackId` FROM `Track` INNER JOIN `Album` ON `Track`.`AlbumId` = `Album`.`AlbumId` WHERE `Track`.`TrackId` > ? ORDER BY `Track`.`TrackId` ASC LIMIT 2 ");
+    assert.deepEqual(page.items, [{ Name: "Track" }]);
+});
+
+test("a cursor that does not match the order is rejected", async () => {
+    const pool = fakePool(() => []);
+    const invoices = new MySqlTableContext(pool, "Invoice", "InvoiceId");
+
+    await assert.rejects(invoices.getCursorPage(2, o => o.by("InvoiceDate"), encode({ direction: "next", values: [1] })));
+    await assert.rejects(invoices.getCursorPage(2, o => o.by("InvoiceDate"), "not a cursor"));
+    assert.equal(pool.log.length, 0);
+});
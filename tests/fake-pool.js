@@ -0,0 +1,50 @@
+//@ts-check
+import { EventEmitter } from "events";
+
+/**
+ * @typedef {object} LoggedCommand
+ * @property {string} cmd Command that was sent.
+ * @property {any[]} args Arguments that were sent with the command.
+ */
+
+/**
+ * Creates a stand-in for a mysql2 promise pool, which records every command it is sent and answers with whatever `respond` returns.
+ * @param {(cmd: string, args: any[]) => any} respond Function that returns the result of a command.
+ * @param {(cmd: string, args: any[]) => any[]|undefined} fields Function that returns the field packets of a command.
+ * @returns {any} Pool that can be passed into a context, with a `log` of the commands it was sent.
+ */
+export function fakePool(respond = () => [], fields = () => undefined) {
+    const pool = /** @type {any} */ (new EventEmitter());
+    /** @type {LoggedCommand[]} */
+    pool.log = [];
+    /** @param {string} cmd @param {any[]} args */
+    const run = async (cmd, args = []) => {
+        pool.log.push({ cmd, args });
+        return [await respond(cmd, args), fields(cmd, args)];
+    };
+    pool.query = run;
+    pool.execute = run;
+    pool.getConnection = async () => ({
+        config: { host: "localhost", database: "test" },
+        query: run,
+        execute: run,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release() {},
+        destroy() {}
+    });
+    return pool;
+}
+
+/**
+ * Creates a function that answers each command with the next of the given results.
+ * @param {...any} results Results to answer with, in order.
+ * @returns {() => any} Function that can be passed as `respond` to `fakePool`.
+ */
+export function inOrder(...results) {
+    return () => {
+        if (results.length <= 0) throw Error("No more results were expected to be asked for.");
+        return results.shift();
+    };
+}
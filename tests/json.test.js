@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MySqlTableContext, WhereBuilder } from "../lib/src/index.js";
+import { fakePool } from "./fake-pool.js";
+
+const LONGTEXT_TYPE = 252;
+
+/**
+ * Creates the field packet mysql2 returns for a column.
+ * @param {string} table Table the column belongs to.
+ * @param {string} name Name of the column.
+ * @param {number} type MySQL type of the column.
+ */
+const field = (table, name, type) => ({ name, orgName: name, orgTable: table, type });
+
+test("values at JSON paths are compared unquoted, with the path passed as an argument", () => {
+    const where = new WhereBuilder()
+        .jsonValueGreaterThanOrEqualTo("Preferences", "$.player.volume", 50)
+        .andJsonValueLessThan("Preferences", "$.player.volume", 80)
+        .orJsonValueEquals("Customer.Preferences", "$.theme", "dark");
+
+    assert.equal(where.toString(), " WHERE JSON_UNQUOTE(JSON_EXTRACT(`Preferences`, ?)) >= ?"
+        + " AND JSON_UNQUOTE(JSON_EXTRACT(`Preferences`, ?)) < ?"
+        + " OR JSON_UNQUOTE(JSON_EXTRACT(`Customer`.`Preferences`, ?)) = ?");
+    assert.deepEqual(where.getArgs(), ["$.player.volume", 50, "$.player.volume", 80, "$.theme", "dark"]);
+});
+
+test("JSON path conditions can be nested", () => {
+    const where = new WhereBuilder()
+        .jsonValueGreaterThan("Preferences", "$.volume", 1)
+        .orJsonValueLessThanOrEqualTo("Preferences", "$.volume", 1, w => w.equals("Muted", true));
+
+    assert.equal(where.toString(), " WHERE JSON_UNQUOTE(JSON_EXTRACT(`Preferences`, ?)) > ? OR (JSON_UNQUOTE(JSON_EXTRACT(`Preferences`, ?)) <= ? AND `Muted` = ?)");
+    assert.deepEqual(where.getArgs(), ["$.volume", 1, "$.volume", 1, true]);
+});
+
+test("JSON columns are written as JSON strings", async () => {
+    const pool = fakePool(() => ({ affectedRows: 1, insertId: 1 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { json: ["Preferences"] });
+
+    await customers.insertOne({ Email: "jdoe@example.com", Preferences: { theme: "dark" } });
+    assert.deepEqual(pool.log[0].args, ["jdoe@example.com", '{"theme":"dark"}']);
+});
+
+test("JSON columns read as strings are parsed, while columns of the JSON type are left to mysql2", async () => {
+    const pool = fakePool(
+        () => [{ CustomerId: 1, Preferences: '{"theme":"dark"}', Settings: { volume: 5 }, Notes: '{"not":"json"}' }],
+        () => [
+            field("Customer", "CustomerId", 3),
+            field("Customer", "Preferences", LONGTEXT_TYPE),
+            field("Customer", "Settings", MySqlTableContext.JSON_TYPE),
+            field("Customer", "Notes", LONGTEXT_TYPE)
+        ]
+    );
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { json: ["Preferences", "Settings"] });
+
+    assert.deepEqual(await customers.getAll(), [{ CustomerId: 1, Preferences: { theme: "dark" }, Settings: { volume: 5 }, Notes: '{"not":"json"}' }]);
+});
+
+test("columns of the JSON type are parsed too if the pool reads JSON as strings", async () => {
+    const pool = fakePool(() => [{ Settings: '{"volume":5}' }], () => [field("Customer", "Settings", MySqlTableContext.JSON_TYPE)]);
+    pool.pool = { config: { connectionConfig: { jsonStrings: true } } };
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { json: ["Settings"] });
+
+    assert.deepEqual(await customers.getAll(), [{ Settings: { volume: 5 } }]);
+});
+
+test("included records are parsed with the JSON columns of their own context", async () => {
+    const pool = fakePool(
+        cmd => cmd.includes("FROM `Customer`")
+            ? [{ CustomerId: 1, Preferences: '{"theme":"dark"}' }]
+            : [{ InvoiceId: 5, CustomerId: 1, Meta: '{"paid":true}' }],
+        cmd => cmd.includes("FROM `Customer`")
+            ? [field("Customer", "CustomerId", 3), field("Customer", "Preferences", LONGTEXT_TYPE)]
+            : [field("Invoice", "InvoiceId", 3), field("Invoice", "CustomerId", 3), field("Invoice", "Meta", LONGTEXT_TYPE)]
+    );
+    const invoices = new MySqlTableContext(pool, "Invoice", "InvoiceId", { json: ["Meta"] });
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { json: ["Preferences"] });
+    customers.hasMany(m => m.Invoices.from(invoices).with("CustomerId").to("CustomerId"));
+
+    assert.deepEqual(await customers.include(m => m.Invoices).getAll(), [
+        { CustomerId: 1, Preferences: { theme: "dark" }, Invoices: [{ InvoiceId: 5, CustomerId: 1, Meta: { paid: true } }] }
+    ]);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MySqlTableContext, WhereBuilder } from "../lib/src/index.js";
+import { fakePool } from "./fake-pool.js";
+
+test("wildcards and the escape character in the text are matched literally", () => {
+    const where = new WhereBuilder().contains("Company", "50%_off!");
+
+    assert.equal(where.toString(), " WHERE `Company` LIKE ? ESCAPE '!'");
+    assert.deepEqual(where.getArgs(), ["%50!%!_off!!%"]);
+});
+
+test("backslashes are left alone, since they are no longer the escape character", () => {
+    const where = new WhereBuilder().startsWith("Path", "C:\\Temp");
+
+    assert.deepEqual(where.getArgs(), ["C:\\Temp%"]);
+});
+
+test("every LIKE condition escapes its text", () => {
+    const where = new WhereBuilder()
+        .startsWith("A", "a_")
+        .andEndsWith("B", "b%")
+        .orContains("C", "c!")
+        .andContainsIgnoreCase("D", "d_")
+        .orStartsWithIgnoreCase("E", "e%")
+        .orEndsWithIgnoreCase("F", "f!");
+
+    assert.equal(where.toString(), " WHERE `A` LIKE ? ESCAPE '!'"
+        + " AND `B` LIKE ? ESCAPE '!'"
+        + " OR `C` LIKE ? ESCAPE '!'"
+        + " AND LOWER(`D`) LIKE LOWER(?) ESCAPE '!'"
+        + " OR LOWER(`E`) LIKE LOWER(?) ESCAPE '!'"
+        + " OR LOWER(`F`) LIKE LOWER(?) ESCAPE '!'");
+    assert.deepEqual(where.getArgs(), ["a!_%", "%b!%", "%c!!%", "%d!_%", "e!%%", "%f!!"]);
+});
+
+test("escaped conditions are sent to MySQL as they were built", async () => {
+    const pool = fakePool(() => []);
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId");
+
+    await customers.getAll(w => w.containsIgnoreCase("Company", "100%").orEndsWith("Email", "_@example.com"));
+    assert.equal(pool.log[0].cmd, "SELECT * FROM `Customer` WHERE LOWER(`Company`) LIKE LOWER(?) ESCAPE '!' OR `Email` LIKE ? ESCAPE '!' ");
+    assert.deepEqual(pool.log[0].args, ["%100!%%", "%!_@example.com"]);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MySqlTableContext } from "../lib/src/index.js";
+import { fakePool } from "./fake-pool.js";
+
+/** @param {number} year @param {number} month @param {number} day @param {number} hour */
+const utc = (year, month, day = 1, hour = 0) => new Date(Date.UTC(year, month, day, hour));
+
+/**
+ * Creates a context on a pool whose connections read and write dates in UTC.
+ * @param {any[]} rows Records the pool answers every query with.
+ */
+function invoicesOf(rows) {
+    const pool = fakePool(() => rows);
+    pool.pool = { config: { connectionConfig: { timezone: "Z" } } };
+    return { pool, invoices: new MySqlTableContext(pool, "Invoice", "InvoiceId") };
+}
+
+test("byTime converts the column into the timezone before truncating it", async () => {
+    const { pool, invoices } = invoicesOf([]);
+
+    await invoices.getAll(null, g => g.byTime("InvoiceDate", "month", { timezone: "America/New_York" }).sum("Total", "revenue"));
+    assert.equal(pool.log[0].cmd, "SELECT COUNT(*) AS $count,CAST(DATE_FORMAT(CONVERT_TZ(`InvoiceDate`, '+00:00', 'America/New_York'), '%Y-%m-01') AS DATE) AS $time,SUM(`Total`) AS `revenue` FROM `Invoice` GROUP BY $time ");
+});
+
+test("empty buckets are filled with zero counts and sums, and null for everything else", async () => {
+    const { invoices } = invoicesOf([
+        { $count: 3, $time: utc(2024, 1), revenue: 10, avgTotal: 2 },
+        { $count: 1, $time: utc(2024, 3), revenue: 5, avgTotal: 5 }
+    ]);
+
+    const buckets = await invoices.getAll(null, g => g.byTime("InvoiceDate", "month", { fill: { from: utc(2024, 0, 15), to: utc(2024, 4, 15) } })
+        .sum("Total", "revenue")
+        .avg("Total", "avgTotal"));
+    assert.deepEqual(buckets.map(b => [b.$time.toISOString().slice(0, 10), b.$count, b.revenue, b.avgTotal]), [
+        ["2024-01-01", 0, 0, null],
+        ["2024-02-01", 3, 10, 2],
+        ["2024-03-01", 0, 0, null],
+        ["2024-04-01", 1, 5, 5],
+        ["2024-05-01", 0, 0, null]
+    ]);
+});
+
+test("the range is bucketed in the timezone of the grouping", async () => {
+    const { invoices } = invoicesOf([]);
+
+    // 2024-01-01T03:00Z is still December 31st in New York, so the range starts in the last quarter of 2023.
+    const quarters = await invoices.getAll(null, g => g.byTime("InvoiceDate", "quarter", { timezone: "America/New_York", fill: { from: utc(2024, 0, 1, 3), to: utc(2024, 3, 1, 12) } }));
+    assert.deepEqual(quarters.map(b => b.$time.toISOString()), ["2023-10-01T00:00:00.000Z", "2024-01-01T00:00:00.000Z", "2024-04-01T00:00:00.000Z"]);
+
+    const weeks = await invoices.getAll(null, g => g.byTime("InvoiceDate", "week", { timezone: "+05:30", fill: { from: utc(2024, 0, 3), to: utc(2024, 0, 20) } }));
+    assert.deepEqual(weeks.map(b => b.$time.toISOString()), ["2024-01-01T00:00:00.000Z", "2024-01-08T00:00:00.000Z", "2024-01-15T00:00:00.000Z"]);
+});
+
+test("buckets cannot be filled when the result is limited, ordered or grouped by more than time", async () => {
+    const { pool, invoices } = invoicesOf([]);
+    const fill = { from: utc(2024, 0), to: utc(2024, 0, 2) };
+
+    await assert.rejects(invoices.get(5, 0, null, g => g.byTime("InvoiceDate", "day", { fill })), /limited, offset or ordered/);
+    await assert.rejects(invoices.getAll(null, g => g.byTime("InvoiceDate", "day", { fill }), o => o.by("$time").desc()), /limited, offset or ordered/);
+    await assert.rejects(invoices.getAll(null, g => g.by("CustomerId").byTime("InvoiceDate", "day", { fill })), /grouped by nothing but the time bucket/);
+    await assert.rejects(invoices.getAll(null, g => g.byTime("InvoiceDate", "day", { fill: { from: fill.to, to: fill.from } })), /"from" date that is on or before its "to" date/);
+    assert.equal(pool.log.length, 0);
+});
+
+test("invalid units, timezones and a second bucket are rejected", async () => {
+    const { invoices } = invoicesOf([]);
+
+    await assert.rejects(invoices.getAll(null, g => g.byTime("InvoiceDate", "day").byTime("InvoiceDate", "year")), /Only one time bucket/);
+    await assert.rejects(invoices.getAll(null, g => g.byTime("InvoiceDate", /** @type {any} */ ("decade"))), /must be one of/);
+    await assert.rejects(invoices.getAll(null, g => g.byTime("InvoiceDate", "day", { timezone: "'; DROP TABLE Invoice; --" })), /timezone must be an offset/);
+});
+
+test("a NULL bucket from missing timezone tables is reported instead of filled", async () => {
+    const { invoices } = invoicesOf([{ $count: 3, $time: null }]);
+
+    await assert.rejects(
+        invoices.getAll(null, g => g.byTime("InvoiceDate", "day", { timezone: "Europe/Paris", fill: { from: utc(2024, 0), to: utc(2024, 0, 2) } })),
+        /timezone tables are not loaded/
+    );
+});
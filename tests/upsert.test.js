@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MySqlTableContext } from "../lib/src/index.js";
+import { fakePool, inOrder } from "./fake-pool.js";
+
+test("upsertOne reports an insert when MySQL affected one row", async () => {
+    const pool = fakePool(() => ({ affectedRows: 1, insertId: 9 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId");
+    const customer = { Email: "jdoe@example.com" };
+
+    assert.equal(await customers.upsertOne(customer), "inserted");
+    assert.equal(pool.log[0].cmd, "INSERT INTO `Customer` (`Email`) VALUES (?) ON DUPLICATE KEY UPDATE `Email` = VALUES(`Email`), `CustomerId` = LAST_INSERT_ID(`CustomerId`)");
+    assert.deepEqual(customer, { Email: "jdoe@example.com", CustomerId: 9 });
+});
+
+test("upsertOne reports an update when MySQL affected two rows, or none because nothing changed", async () => {
+    const pool = fakePool(inOrder({ affectedRows: 2, insertId: 7 }, { affectedRows: 0, insertId: 7 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId");
+
+    assert.equal(await customers.upsertOne({ CustomerId: 7, Email: "jdoe@example.com" }), "updated");
+    assert.equal(await customers.upsertOne({ CustomerId: 7, Email: "jdoe@example.com" }), "updated");
+});
+
+test("upsertOne only updates the given columns", async () => {
+    const pool = fakePool(() => ({ affectedRows: 2, insertId: 7 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId");
+
+    await customers.upsertOne({ CustomerId: 7, Email: "jdoe@example.com", FirstName: "John" }, ["Email"]);
+    assert.equal(pool.log[0].cmd, "INSERT INTO `Customer` (`CustomerId`, `Email`, `FirstName`) VALUES (?,?,?) ON DUPLICATE KEY UPDATE `Email` = VALUES(`Email`), `CustomerId` = LAST_INSERT_ID(`CustomerId`)");
+});
+
+test("upsertMany counts the duplicates that MySQL reports in each chunk", async () => {
+    const pool = fakePool(inOrder(
+        { affectedRows: 2, insertId: 20, info: "Records: 2  Duplicates: 0  Warnings: 0" },
+        { affectedRows: 3, insertId: 30, info: "Records: 2  Duplicates: 1  Warnings: 0" }
+    ));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId", { maxRowsPerInsert: 2 });
+    const records = [{ Email: "a" }, { Email: "b" }, { Email: "c" }, { Email: "d" }];
+
+    assert.deepEqual(await customers.upsertMany(records), { inserted: 3, updated: 1 });
+    assert.equal(pool.log.length, 2);
+    // Ids can only be assigned to a chunk where every record was inserted.
+    assert.deepEqual(records, [{ Email: "a", CustomerId: 20 }, { Email: "b", CustomerId: 21 }, { Email: "c" }, { Email: "d" }]);
+});
+
+test("upsertMany falls back to the affected rows when MySQL does not report duplicates", async () => {
+    const pool = fakePool(inOrder({ affectedRows: 5, insertId: 1 }, { affectedRows: 3, insertId: 1 }));
+    const customers = new MySqlTableContext(pool, "Customer", "CustomerId");
+
+    assert.deepEqual(await customers.upsertMany([{ Email: "a" }, { Email: "b" }, { Email: "c" }]), { inserted: 1, updated: 2 });
+    assert.deepEqual(await customers.upsertMany([{ Email: "a" }, { Email: "b" }, { Email: "c" }]), { inserted: 3, updated: 0 });
+});